@@ -0,0 +1,83 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {createHash} from "crypto"
+import {readFileSync, writeFileSync, existsSync} from "fs"
+import {Diagram} from "./model.mjs"
+import "./serialization.mjs"
+
+const CACHE_VERSION = 6
+
+export function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex")
+}
+
+// Parser configs contain maps and sets, which JSON.stringify drops
+export function hashConfig(config) {
+  return hashContent(JSON.stringify(config, (key, value) => {
+    if (value instanceof Map || value instanceof Set) {
+      return [...value]
+    }
+    return value
+  }))
+}
+
+// On-disk cache of the objects and relations parsed from each file.
+// Entries are keyed by file path and only valid for the content hash
+// they were parsed from. The whole cache is discarded if the parser
+// config changes.
+export class ParseCache {
+  constructor(filePath, configHash) {
+    this.filePath = filePath
+    this.configHash = configHash
+    this.entries = new Map()
+    this.used = new Map()
+  }
+  
+  static load(filePath, configHash) {
+    const cache = new ParseCache(filePath, configHash)
+    if (existsSync(filePath)) {
+      const json = JSON.parse(readFileSync(filePath).toString())
+      if (json.version == CACHE_VERSION && json.configHash == configHash) {
+        cache.entries = new Map(Object.entries(json.files))
+      }
+    }
+    return cache
+  }
+  
+  // Returns the diagram of the file or null if it needs to be parsed
+  get(key, hash) {
+    const entry = this.entries.get(key)
+    if (entry == null || entry.hash != hash) {
+      return null
+    }
+    this.used.set(key, entry)
+    return Diagram.fromJSON(entry.diagram)
+  }
+  
+  set(key, hash, diagram) {
+    this.used.set(key, {hash, diagram: diagram.toJSON()})
+  }
+  
+  // Only entries of files which were part of this run are kept
+  save() {
+    writeFileSync(this.filePath, JSON.stringify({
+      version: CACHE_VERSION,
+      configHash: this.configHash,
+      files: Object.fromEntries(this.used)
+    }))
+  }
+}
@@ -0,0 +1,179 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Call graphs between the methods of a set of objects
+//
+// Calls are taken from the invocations recorded by the Java parser if its
+// invocations option is set. A call is resolved to the method of the
+// receiver with the same name and number of arguments. Methods inherited
+// from supertypes of the receiver are found as well.
+
+import {View} from "./rendering.mjs"
+import {Diagram, InheritanceRelation, ImplementsRelation} from "./model.mjs"
+import {Selector} from "./query.mjs"
+
+const DEFAULT_ENTRY = {
+  depth: null
+}
+
+// Methods and constructors of the object, which may make calls
+function callersOf(object) {
+  return [...(object.constructors || []), ...(object.methods || [])]
+}
+
+// Finds the methods of an object given by the name of the object and the
+// name of the method (e.g. "Player.move"), optionally followed by the
+// number of arguments to select one of several overloads (e.g. "Player.move/2").
+// Constructors are named after their object (e.g. "Player.Player").
+export function findMethods(diagram, entry) {
+  const [qualifiedName, argCount] = entry.split("/")
+  const index = qualifiedName.lastIndexOf(".")
+  const object = index < 0 ? null : diagram.lookup(qualifiedName.substr(0, index))
+  const name = qualifiedName.substr(index + 1)
+  const methods = object == null ? [] : callersOf(object).filter(method => {
+    return method.name == name && (argCount == null || method.args.length == Number(argCount))
+  })
+  if (methods.length == 0) {
+    throw `Unknown method ${entry}`
+  }
+  return {object, methods}
+}
+
+// Objects declaring the methods which are called on the receiver,
+// ordered by their distance from the receiver
+function supertypesOf(diagram, object) {
+  const result = [object]
+  for (let it = 0; it < result.length; it++) {
+    for (const relation of diagram.relations) {
+      if ((relation instanceof InheritanceRelation || relation instanceof ImplementsRelation) &&
+          relation.a == result[it] && !result.includes(relation.b)) {
+        result.push(relation.b)
+      }
+    }
+  }
+  return result
+}
+
+// Returns the receiving object, the called method and the object declaring
+// it or null if the invocation in a method of object can not be resolved
+export function resolveInvocation(diagram, object, invocation) {
+  let receiver = object
+  if (invocation.receiver == "super") {
+    const relation = diagram.relations.find(relation => {
+      return relation instanceof InheritanceRelation && relation.a == object
+    })
+    receiver = relation == null ? null : relation.b
+  } else if (invocation.receiver != "this") {
+    receiver = diagram.lookup(invocation.receiver, object)
+  }
+  if (receiver == null) {
+    return null
+  }
+  
+  for (const type of supertypesOf(diagram, receiver)) {
+    const methods = (type.methods || []).filter(method => method.name == invocation.name)
+    const method = methods.find(method => method.args.length == invocation.argCount) || methods[0]
+    if (method != null) {
+      return {receiver, object: type, method}
+    }
+  }
+  return null
+}
+
+export class CallGraphView {
+  constructor(objects, diagram) {
+    this.objects = new Set(objects)
+    this.entry = null
+    this.diagram = diagram
+  }
+  
+  // Only shows the methods which are reachable from the entry methods
+  // using at most depth calls. The entry is either a method or the name of
+  // an object and one of its methods (e.g. "Player.move").
+  from(entry, options) {
+    const {depth} = Object.assign({...DEFAULT_ENTRY}, options || {})
+    const methods = typeof entry == "string" ? findMethods(this.diagram, entry).methods : [entry]
+    this.entry = {methods, depth}
+    return this
+  }
+  
+  // Calls between the methods of the objects of this view. Multiple
+  // invocations of the same method are merged into a single call.
+  collectCalls() {
+    const calls = []
+    const owners = new Map()
+    for (const object of this.objects) {
+      for (const method of callersOf(object)) {
+        owners.set(method, object)
+        const callees = new Set()
+        for (const invocation of method.invocations) {
+          const callee = resolveInvocation(this.diagram, object, invocation)
+          if (callee != null && this.objects.has(callee.object) && !callees.has(callee.method)) {
+            callees.add(callee.method)
+            calls.push({caller: method, callee: callee.method, location: invocation.location})
+          }
+        }
+      }
+    }
+    return {calls, owners}
+  }
+  
+  planRender() {
+    let {calls, owners} = this.collectCalls()
+    
+    let shown = null
+    if (this.entry == null) {
+      shown = new Set(calls.flatMap(call => [call.caller, call.callee]))
+    } else {
+      const {methods, depth} = this.entry
+      shown = new Set(methods.filter(method => owners.has(method)))
+      let frontier = [...shown]
+      for (let it = 0; (depth == null || it < depth) && frontier.length > 0; it++) {
+        const reached = calls
+          .filter(call => frontier.includes(call.caller))
+          .map(call => call.callee)
+          .filter(method => !shown.has(method))
+        frontier = [...new Set(reached)]
+        frontier.forEach(method => shown.add(method))
+      }
+      calls = calls.filter(call => shown.has(call.caller) && shown.has(call.callee))
+    }
+    
+    // Methods grouped by their object in the order of declaration
+    const objects = new Map()
+    for (const [method, object] of owners) {
+      if (shown.has(method)) {
+        if (!objects.has(object)) {
+          objects.set(object, [])
+        }
+        objects.get(object).push(method)
+      }
+    }
+    
+    const names = new View([], this.diagram).assignNames(new Set(objects.keys()), [])
+    const entries = new Set(this.entry == null ? [] : this.entry.methods)
+    return {objects, calls, owners, names, entries}
+  }
+}
+
+Diagram.prototype.viewCalls = function(objects) {
+  if (objects == null) {
+    objects = this.objects.values()
+  } else if (typeof objects == "string" || objects instanceof Selector) {
+    objects = this.selectObjects(objects)
+  }
+  return new CallGraphView(objects, this)
+}
@@ -0,0 +1,333 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+  Diagram,
+  Attribute, Method, Constructor, Constant,
+  AssociativeRelation
+} from "./model.mjs"
+
+function describeMember(member) {
+  const args = () => member.args.map(arg => `${arg.name}: ${arg.type}`).join(", ")
+  if (member instanceof Attribute) {
+    return `attribute ${member.name}: ${member.type}`
+  } else if (member instanceof Method) {
+    return `method ${member.name}(${args()}): ${member.result}`
+  } else if (member instanceof Constructor) {
+    return `constructor ${member.name}(${args()})`
+  } else if (member instanceof Constant) {
+    return `constant ${member.name}`
+  }
+  return `member ${member.name}`
+}
+
+function describeObject(object) {
+  const kind = object.constructor.name.replace(/Object$/, "").toLowerCase()
+  return `${kind} ${object.withGenerics(object.qualifiedName)}`
+}
+
+function describeRelation(relation) {
+  const kind = relation.constructor.name.replace(/Relation$/, "").toLowerCase()
+  let description = `${kind} ${relation.a.qualifiedName} -> ${relation.b.qualifiedName}`
+  if (relation instanceof AssociativeRelation) {
+    const label = [
+      relation.roleA, relation.multiplicityA,
+      relation.headA + "-" + relation.headB,
+      relation.multiplicityB, relation.roleB
+    ].filter(part => part != "").join(" ")
+    description += ` (${label})`
+    if (relation.name != "") {
+      description += ` : ${relation.name}`
+    }
+  }
+  return description
+}
+
+// Everything about an element which is compared to detect changes
+function memberState(member) {
+  return [...member.modifiers, ...member.stereotypes, describeMember(member)].join(" ")
+}
+
+function objectState(object) {
+  return [object.constructor.name, ...object.modifiers, ...object.stereotypes, object.nameWithGenerics].join(" ")
+}
+
+function relationKey(relation) {
+  const key = `${relation.constructor.name} ${relation.a.qualifiedName} ${relation.b.qualifiedName}`
+  if (relation instanceof AssociativeRelation) {
+    return `${key} ${relation.roleA} ${relation.roleB}`
+  }
+  return key
+}
+
+// Pairs up the elements of before and after which share the same key.
+// Elements which remain unmatched are paired by their fallback key
+// if it is unique on both sides.
+function match(before, after, key, fallbackKey=null) {
+  const pairs = []
+  const unmatched = new Map()
+  for (const item of before) {
+    const itemKey = key(item)
+    if (!unmatched.has(itemKey)) {
+      unmatched.set(itemKey, [])
+    }
+    unmatched.get(itemKey).push(item)
+  }
+  
+  let added = []
+  for (const item of after) {
+    const candidates = unmatched.get(key(item)) || []
+    if (candidates.length > 0) {
+      pairs.push([candidates.shift(), item])
+    } else {
+      added.push(item)
+    }
+  }
+  let removed = [...unmatched.values()].flat()
+  
+  if (fallbackKey != null) {
+    const count = (items, itemKey) => items.filter(other => fallbackKey(other) == itemKey).length
+    const stillAdded = []
+    for (const item of added) {
+      const itemKey = fallbackKey(item)
+      if (count(added, itemKey) == 1 && count(removed, itemKey) == 1) {
+        const other = removed.find(other => fallbackKey(other) == itemKey)
+        removed = removed.filter(candidate => candidate != other)
+        pairs.push([other, item])
+      } else {
+        stillAdded.push(item)
+      }
+    }
+    added = stillAdded
+  }
+  
+  return {pairs, added, removed}
+}
+
+export class ObjectDiff {
+  constructor(before, after) {
+    this.before = before
+    this.after = after
+    this.headerChanged = objectState(before) != objectState(after)
+    this.added = []
+    this.removed = []
+    this.changed = []
+    this.status = new Map()
+    
+    const {pairs, added, removed} = match(
+      before.members, after.members,
+      member => describeMember(member),
+      member => `${member.constructor.name} ${member.name}`
+    )
+    for (const [memberBefore, memberAfter] of pairs) {
+      if (memberState(memberBefore) != memberState(memberAfter)) {
+        this.changed.push({before: memberBefore, after: memberAfter})
+        this.status.set(memberAfter, "changed")
+      }
+    }
+    this.added = added
+    this.removed = removed
+    added.forEach(member => this.status.set(member, "added"))
+    removed.forEach(member => this.status.set(member, "removed"))
+  }
+  
+  get isEmpty() {
+    return !this.headerChanged &&
+           this.added.length == 0 &&
+           this.removed.length == 0 &&
+           this.changed.length == 0
+  }
+  
+  statusOf(member) {
+    return this.status.get(member) || null
+  }
+  
+  // Member blocks of the new object, with removed members shown in the
+  // block they were part of before.
+  get memberBlocks() {
+    const blocks = this.after.memberBlocks.map(block => [...block])
+    this.before.memberBlocks.forEach((block, index) => {
+      const target = blocks[Math.min(index, blocks.length - 1)]
+      if (target != null) {
+        target.push(...block.filter(member => this.status.get(member) == "removed"))
+      }
+    })
+    return blocks
+  }
+  
+  toJSON() {
+    return {
+      name: this.after.qualifiedName,
+      header: this.headerChanged ? {before: describeObject(this.before), after: describeObject(this.after)} : null,
+      members: {
+        added: this.added.map(describeMember),
+        removed: this.removed.map(describeMember),
+        changed: this.changed.map(({before, after}) => {
+          return {before: describeMember(before), after: describeMember(after)}
+        })
+      }
+    }
+  }
+}
+
+// Structural changes between two versions of a diagram
+export class DiagramDiff {
+  constructor(before, after) {
+    this.before = before
+    this.after = after
+    this.addedObjects = []
+    this.removedObjects = []
+    this.changedObjects = new Map()
+    this.addedRelations = []
+    this.removedRelations = []
+    this.changedRelations = []
+    this.objectStatus = new Map()
+    this.relationStatus = new Map()
+    
+    for (const [name, object] of after.objects) {
+      if (!before.hasObject(name)) {
+        this.addedObjects.push(object)
+        this.objectStatus.set(object, "added")
+      } else {
+        const changes = new ObjectDiff(before.getObject(name), object)
+        if (!changes.isEmpty) {
+          this.changedObjects.set(object, changes)
+          this.objectStatus.set(object, "changed")
+        }
+      }
+    }
+    for (const [name, object] of before.objects) {
+      if (!after.hasObject(name)) {
+        this.removedObjects.push(object)
+        this.objectStatus.set(object, "removed")
+      }
+    }
+    
+    const {pairs, added, removed} = match(before.relations, after.relations, relationKey)
+    for (const [relationBefore, relationAfter] of pairs) {
+      if (describeRelation(relationBefore) != describeRelation(relationAfter)) {
+        this.changedRelations.push({before: relationBefore, after: relationAfter})
+        this.relationStatus.set(relationAfter, "changed")
+      }
+    }
+    this.addedRelations = added
+    this.removedRelations = removed
+    added.forEach(relation => this.relationStatus.set(relation, "added"))
+    removed.forEach(relation => this.relationStatus.set(relation, "removed"))
+    
+    // Copies of the removed relations attached to the new version of their
+    // objects, which are shown by toDiagram
+    const objectNamed = name => after.getObject(name) || before.getObject(name)
+    this.removedRelationCopies = removed.map(relation => {
+      const copy = Object.assign(Object.create(Object.getPrototypeOf(relation)), relation)
+      copy.a = objectNamed(relation.a.qualifiedName) || relation.a
+      copy.b = objectNamed(relation.b.qualifiedName) || relation.b
+      this.relationStatus.set(copy, "removed")
+      return copy
+    })
+  }
+  
+  get isEmpty() {
+    return this.addedObjects.length == 0 &&
+           this.removedObjects.length == 0 &&
+           this.changedObjects.size == 0 &&
+           this.addedRelations.length == 0 &&
+           this.removedRelations.length == 0 &&
+           this.changedRelations.length == 0
+  }
+  
+  // Returns "added", "removed", "changed" or null
+  statusOf(object) {
+    return this.objectStatus.get(object) || null
+  }
+  
+  statusOfRelation(relation) {
+    return this.relationStatus.get(relation) || null
+  }
+  
+  changesOf(object) {
+    return this.changedObjects.get(object) || null
+  }
+  
+  // Diagram containing the objects and relations of both versions.
+  // Removed relations are attached to the new version of their objects.
+  toDiagram() {
+    const diagram = new Diagram()
+    for (const object of this.after.objects.values()) {
+      diagram.addObject(object)
+    }
+    for (const object of this.removedObjects) {
+      diagram.addObject(object)
+    }
+    
+    diagram.relations = [...this.after.relations, ...this.removedRelationCopies]
+    return diagram
+  }
+  
+  viewAll() {
+    return this.toDiagram().viewAll()
+  }
+  
+  toJSON() {
+    return {
+      objects: {
+        added: this.addedObjects.map(describeObject),
+        removed: this.removedObjects.map(describeObject),
+        changed: [...this.changedObjects.values()].map(changes => changes.toJSON())
+      },
+      relations: {
+        added: this.addedRelations.map(describeRelation),
+        removed: this.removedRelations.map(describeRelation),
+        changed: this.changedRelations.map(({before, after}) => {
+          return {before: describeRelation(before), after: describeRelation(after)}
+        })
+      }
+    }
+  }
+  
+  toText() {
+    if (this.isEmpty) {
+      return "No structural changes\n"
+    }
+    
+    const lines = []
+    this.addedObjects.forEach(object => lines.push(`+ ${describeObject(object)}`))
+    this.removedObjects.forEach(object => lines.push(`- ${describeObject(object)}`))
+    for (const changes of this.changedObjects.values()) {
+      lines.push(`~ ${describeObject(changes.after)}`)
+      if (changes.headerChanged) {
+        lines.push(`    was ${describeObject(changes.before)}`)
+      }
+      changes.added.forEach(member => lines.push(`    + ${describeMember(member)}`))
+      changes.removed.forEach(member => lines.push(`    - ${describeMember(member)}`))
+      changes.changed.forEach(({before, after}) => {
+        lines.push(`    ~ ${describeMember(after)}`)
+        lines.push(`      was ${describeMember(before)}`)
+      })
+    }
+    this.addedRelations.forEach(relation => lines.push(`+ ${describeRelation(relation)}`))
+    this.removedRelations.forEach(relation => lines.push(`- ${describeRelation(relation)}`))
+    this.changedRelations.forEach(({before, after}) => {
+      lines.push(`~ ${describeRelation(after)}`)
+      lines.push(`    was ${describeRelation(before)}`)
+    })
+    return lines.join("\n") + "\n"
+  }
+}
+
+Diagram.prototype.diff = function(other) {
+  return new DiagramDiff(this, other)
+}
@@ -16,43 +16,117 @@
 
 import {writeFileSync} from "fs"
 import {View} from "./../rendering.mjs"
+import {CallGraphView} from "./../callgraph.mjs"
+import {StateMachine} from "./../statemachine.mjs"
 import {BlockSection, BlockNode} from "./../utils.mjs"
+import {Layout} from "./../layout.mjs"
+import {findCycles, computeMetrics} from "./../passes.mjs"
 import {
   Diagram, DiagramObject, Relation,
   ClassObject, EnumObject, InterfaceObject, UnresolvedObject, PackageObject,
   Attribute, Method, Constructor, Argument,
-  InheritanceRelation, ImplementsRelation, AssociativeRelation
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  AggregatedRelation, DependencyRelation
 } from "./../model.mjs"
 
+String.prototype.colorHtml = function(color) {
+  if (color == null) {
+    return this.toString()
+  }
+  return `<font color="${color}">${this}</font>`
+}
+
+// The source URL is either a function of the location or a template
+// containing the placeholders {file}, {line} and {column}
+function sourceUrl(template, location) {
+  if (typeof template == "function") {
+    return template(location)
+  }
+  return template.replace(/\{(file|line|column)\}/g, (match, key) => location[key])
+}
+
+function sourceUrlAttrs(config, location) {
+  if (config.sourceUrl == null || location == null || location.file == null) {
+    return ""
+  }
+  const url = sourceUrl(config.sourceUrl, location)
+  return `, URL=${url.escapeGraphViz()}, tooltip=${`${location.file}:${location.line}`.escapeGraphViz()}`
+}
+
 DiagramObject.prototype.toGraphViz = function(config, isExternal=false) {
+  const status = config.diff != null ? config.diff.statusOf(this) : null
+  const changes = status == "changed" ? config.diff.changesOf(this) : null
+  const headerColor = changes == null || changes.headerChanged ? config.diffColors[status] : null
+  
   const header = new BlockSection("center", [])
   if (this.stereotypes.length > 0) {
-    header.addLine("«" + this.stereotypes.join(", ") + "»")
+    header.addLine(("«" + this.stereotypes.join(", ") + "»").colorHtml(headerColor))
+  }
+  
+  const metrics = config.metrics != null ? config.metrics.of(this) : null
+  let fontSize = config.nameFontSize
+  if (metrics != null && config.sizeMetric != null) {
+    // Scales the name and thereby the node with the metric
+    const [min, max] = config.sizeRange
+    const ratio = config.sizeMaximum > 0 ? metrics[config.sizeMetric] / config.sizeMaximum : 0
+    fontSize = Math.round(min + (max - min) * ratio)
   }
   
-  let name = this.nameWithGenerics.escapeHtml()
-  if (config.nameFontSize != null) {
-    name = `<font point-size="${config.nameFontSize}">${name}</font>`
+  const id = config.names.get(this)
+  let name = this.withGenerics(id).escapeHtml().colorHtml(headerColor)
+  if (fontSize != null) {
+    name = `<font point-size="${fontSize}">${name}</font>`
   }
   header.addLine(name)
+  if (metrics != null && config.annotateMetrics.length > 0 && !isExternal) {
+    const values = config.annotateMetrics.map(metric => `${metric} ${metrics[metric]}`)
+    header.addLine(`<font point-size="10">${values.join(", ").escapeHtml()}</font>`)
+  }
   
   const block = new BlockNode([header])
+  if (status != null) {
+    block.color = config.diffColors[status]
+  }
   if (isExternal) {
     header.addLine(`(from ${this.package.join(".")})`)
   } else if (!config.hideMembers) {
-    block.addSections(this.toBlockSections(config.onlyImportant))
+    if (changes != null) {
+      block.addSections(this.toBlockSections(config.onlyImportant, changes.memberBlocks, member => {
+        return member.toHtml().colorHtml(config.diffColors[changes.statusOf(member)])
+      }))
+    } else {
+      block.addSections(this.toBlockSections(config.onlyImportant, this.memberBlocks, member => {
+        return member.toHtml().colorHtml(config.diffColors[status])
+      }))
+    }
   }
   
   const label = block.toHtmlTable()
-  return `${this.name.escapeGraphViz()} [shape=none, label=<${label}>];\n`
+  let attrs = `shape=none, label=<${label}>`
+  attrs += sourceUrlAttrs(config, this.location)
+  if (config.layout != null && config.layout.has(id)) {
+    const pos = config.layout.get(id)
+    attrs += `, pos="${pos.x},${pos.y}!", pin=true`
+  }
+  return `${id.escapeGraphViz()} [${attrs}];\n`
 }
 
 PackageObject.prototype.toGraphViz = function(config, external=false) {
+  if (config.collapsed.has(this)) {
+    const id = config.names.get(this)
+    const count = this.collectObjects().size
+    const label = `${id.escapeHtml()}<br/><font point-size="10">${count} ${count == 1 ? "object" : "objects"}</font>`
+    return `${id.escapeGraphViz()} [shape=folder, label=<${label}>];\n`
+  }
+  
   const objects = []
   for (const [name, object] of this.objects.entries()) {
     objects.push(object.toGraphViz(config))
   }
-  return `subgraph {
+  
+  // Named clusters can be used as the end points of compound edges
+  const id = config.names.has(this) ? ("cluster_" + config.names.get(this)).escapeGraphViz() + " " : ""
+  return `subgraph ${id}{
     cluster=true;
     color=black;
     label=${this.name.escapeGraphViz()};
@@ -63,19 +137,62 @@ PackageObject.prototype.toGraphViz = function(config, external=false) {
   };`
 }
 
-Relation.prototype.toGraphViz = function() {
-  return `${this.a.name.escapeGraphViz()} -> ${this.b.name.escapeGraphViz()};`
+Relation.prototype.toGraphVizEdge = function(config) {
+  return `${config.names.get(this.a).escapeGraphViz()} -> ${config.names.get(this.b).escapeGraphViz()}`
+}
+
+Relation.prototype.toGraphViz = function(config) {
+  return `${this.toGraphVizEdge(config)};`
+}
+
+InheritanceRelation.prototype.toGraphViz = function(config) {
+  return `${this.toGraphVizEdge(config)} [arrowhead=onormal, weight=10];`
+}
+
+ImplementsRelation.prototype.toGraphViz = function(config) {
+  return `${this.toGraphVizEdge(config)} [arrowhead=onormal, weight=10, style=dashed];`
+}
+
+DependencyRelation.prototype.toGraphViz = function(config) {
+  return `${this.toGraphVizEdge(config)} [arrowhead=vee, style=dashed];`
 }
 
-InheritanceRelation.prototype.toGraphViz = function() {
-  return `${this.a.name.escapeGraphViz()} -> ${this.b.name.escapeGraphViz()} [arrowhead=onormal, weight=10];`
+ContainmentRelation.prototype.toGraphViz = function(config) {
+  return `${this.toGraphVizEdge(config)} [arrowhead=odot, weight=10];`
 }
 
-ImplementsRelation.prototype.toGraphViz = function() {
-  return `${this.a.name.escapeGraphViz()} -> ${this.b.name.escapeGraphViz()} [arrowhead=onormal, weight=10, style=dashed];`
+// Edges to expanded packages point to a node inside of their cluster and
+// are clipped at the cluster boundary using lhead/ltail.
+AggregatedRelation.prototype.toGraphViz = function(config) {
+  const endPoint = object => {
+    if (object instanceof PackageObject && !config.collapsed.has(object)) {
+      const anchor = config.anchors.get(object)
+      return anchor == null ? null : {
+        node: config.names.get(anchor),
+        cluster: "cluster_" + config.names.get(object)
+      }
+    }
+    return {node: config.names.get(object), cluster: null}
+  }
+  
+  const a = endPoint(this.a)
+  const b = endPoint(this.b)
+  if (a == null || b == null) {
+    return ""
+  }
+  
+  const attrs = [
+    `label=${this.count.toString().escapeGraphViz()}`,
+    "style=dashed",
+    "arrowhead=vee",
+    `penwidth=${Math.min(1 + Math.log2(this.count), 5)}`
+  ]
+  if (a.cluster != null) { attrs.push(`ltail=${a.cluster.escapeGraphViz()}`) }
+  if (b.cluster != null) { attrs.push(`lhead=${b.cluster.escapeGraphViz()}`) }
+  return `${a.node.escapeGraphViz()} -> ${b.node.escapeGraphViz()} [${attrs.join(", ")}];`
 }
 
-AssociativeRelation.prototype.toGraphViz = function() {
+AssociativeRelation.prototype.toGraphViz = function(config) {
   const toArrowType = kind => {
     switch(kind) {
       case ">":
@@ -90,7 +207,7 @@ AssociativeRelation.prototype.toGraphViz = function() {
     }
   }
   
-  return `${this.a.name.escapeGraphViz()} -> ${this.b.name.escapeGraphViz()} [
+  return `${this.toGraphVizEdge(config)} [
     weight=1,
     label=${this.name.escapeGraphViz()},
     headlabel=${(this.roleB + "\n" + this.multiplicityB).escapeGraphViz()},
@@ -107,17 +224,60 @@ const DEFAULT_CONFIG = {
   rankdir: "BT",
   onlyImportant: false,
   hideMembers: false,
-  nameFontSize: null
+  nameFontSize: null,
+  layout: null,
+  layoutEngine: "fdp",
+  diff: null,
+  diffColors: {
+    added: "#2e9e44",
+    removed: "#d62728",
+    changed: "#e69f00"
+  },
+  cycles: null,
+  cycleColor: "red",
+  metrics: null,
+  annotateMetrics: [],
+  sizeMetric: null,
+  sizeRange: [14, 28],
+  sourceUrl: null
 }
 
 View.prototype.toGraphViz = function(partialConfig) {
   const config = Object.assign({...DEFAULT_CONFIG}, partialConfig || {})
+  if (typeof config.layout == "string") {
+    config.layout = Layout.load(config.layout)
+  }
+  if (config.cycles === true) {
+    config.cycles = findCycles(this.diagram)
+  }
+  if (config.metrics == null && (config.annotateMetrics.length > 0 || config.sizeMetric != null)) {
+    config.metrics = true
+  }
+  if (config.metrics === true) {
+    config.metrics = computeMetrics(this.diagram)
+  }
+  if (config.sizeMetric != null) {
+    config.sizeMaximum = Math.max(0, ...[...config.metrics.classes.values()].map(metrics => metrics[config.sizeMetric]))
+  }
   
   let output = "digraph {\n"
   output += `rankdir=${config.rankdir};\n`
   output += `dpi=${config.dpi};` + "\n"
   
-  const {objects, adjacent, relations} = this.planRender()
+  // dot ignores node positions, so pinned layouts need an engine which
+  // places the remaining nodes around the fixed ones.
+  if (config.layout != null && config.layout.positions.size > 0) {
+    output += `layout=${config.layoutEngine};\n`
+    output += `inputscale=72;\n`
+  }
+  
+  const {objects, adjacent, relations, names, collapsed, anchors} = this.planRender()
+  config.names = names
+  config.collapsed = collapsed
+  config.anchors = anchors
+  if (this.collapse != null) {
+    output += "compound=true;\n"
+  }
   
   for (const object of objects) {
     output += object.toGraphViz(config)
@@ -127,7 +287,33 @@ View.prototype.toGraphViz = function(partialConfig) {
   }
   
   for (const relation of relations) {
-    output += relation.toGraphViz() + "\n"
+    let color = null
+    if (config.diff != null && config.diff.statusOfRelation(relation) != null) {
+      color = config.diffColors[config.diff.statusOfRelation(relation)]
+    } else if (config.cycles != null && config.cycles.hasRelation(relation)) {
+      color = config.cycleColor
+    }
+    
+    if (color != null) {
+      // Anonymous subgraphs only set the default attributes of the edge
+      color = color.escapeGraphViz()
+      output += `{ edge [color=${color}, fontcolor=${color}]; ${relation.toGraphViz(config)} }\n`
+    } else {
+      output += relation.toGraphViz(config) + "\n"
+    }
+  }
+  
+  // The ids of the legend contain characters which are not allowed in
+  // names of objects or packages, so they can not collide with them
+  if (config.cycles != null && config.cycles.hasCycles) {
+    output += `subgraph "cluster (legend)" {
+      label="Legend";
+      labeljust=l;
+      fontsize=16;
+      "(legend)" [shape=none, label=<<table border="0" cellspacing="4">
+        <tr><td><font color="${config.cycleColor}">&#8212;&#8212;&#9658;</font></td><td align="left">Dependency cycle</td></tr>
+      </table>>];
+    }\n`
   }
   
   output += "}\n"
@@ -138,3 +324,105 @@ View.prototype.saveGraphViz = function(filePath, partialConfig) {
   writeFileSync(filePath, this.toGraphViz(partialConfig))
 }
 
+// Call graphs
+
+const DEFAULT_CALL_GRAPH_CONFIG = {
+  dpi: 72,
+  rankdir: "LR",
+  sourceUrl: null
+}
+
+CallGraphView.prototype.toGraphViz = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_CALL_GRAPH_CONFIG}, partialConfig || {})
+  const {objects, calls, names, entries} = this.planRender()
+  
+  // Overloaded methods are told apart by their argument types
+  const ids = new Map()
+  for (const [object, methods] of objects) {
+    for (const method of methods) {
+      const args = method.args.map(arg => arg.type.toString()).join(", ")
+      ids.set(method, `${names.get(object)}.${method.name}(${args})`)
+    }
+  }
+  
+  let output = "digraph {\n"
+  output += `rankdir=${config.rankdir};\n`
+  output += `dpi=${config.dpi};` + "\n"
+  
+  for (const [object, methods] of objects) {
+    const nodes = methods.map(method => {
+      const style = entries.has(method) ? `"rounded,bold"` : "rounded"
+      const attrs = `shape=box, style=${style}, label=<${method.toHtml()}>` + sourceUrlAttrs(config, method.location)
+      return `${ids.get(method).escapeGraphViz()} [${attrs}];`
+    })
+    output += `subgraph ${("cluster_" + names.get(object)).escapeGraphViz()} {
+    cluster=true;
+    color=black;
+    label=${names.get(object).escapeGraphViz()};
+    labeljust=l;
+    fontsize=16;
+    ${nodes.join("\n    ")}
+  };\n`
+  }
+  
+  for (const {caller, callee} of calls) {
+    output += `${ids.get(caller).escapeGraphViz()} -> ${ids.get(callee).escapeGraphViz()};\n`
+  }
+  
+  output += "}\n"
+  return output
+}
+
+CallGraphView.prototype.saveGraphViz = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toGraphViz(partialConfig))
+}
+
+// State machines
+
+const DEFAULT_STATE_MACHINE_CONFIG = {
+  dpi: 72,
+  rankdir: "LR",
+  sourceUrl: null
+}
+
+// The pseudo states use names which are no valid Java identifiers,
+// so that they can not collide with the constants
+StateMachine.prototype.toGraphViz = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_STATE_MACHINE_CONFIG}, partialConfig || {})
+  
+  let output = "digraph {\n"
+  output += `rankdir=${config.rankdir};\n`
+  output += `dpi=${config.dpi};` + "\n"
+  output += `label=${this.object.name.escapeGraphViz()};\n`
+  output += "labelloc=t;\n"
+  
+  for (const state of this.states) {
+    const attrs = `shape=box, style=rounded, label=${state.name.escapeGraphViz()}` + sourceUrlAttrs(config, state.location)
+    output += `${state.name.escapeGraphViz()} [${attrs}];\n`
+  }
+  
+  if (this.initial.length > 0) {
+    output += `"(initial)" [shape=circle, style=filled, fillcolor=black, width=0.2, label=""];\n`
+    for (const state of this.initial) {
+      output += `"(initial)" -> ${state.name.escapeGraphViz()};\n`
+    }
+  }
+  if (this.final.length > 0) {
+    output += `"(final)" [shape=doublecircle, style=filled, fillcolor=black, width=0.15, label=""];\n`
+    for (const state of this.final) {
+      output += `${state.name.escapeGraphViz()} -> "(final)";\n`
+    }
+  }
+  
+  for (const transition of this.transitions) {
+    output += `${transition.from.name.escapeGraphViz()} -> ${transition.to.name.escapeGraphViz()}`
+    output += transition.event == "" ? ";\n" : ` [label=${transition.event.escapeGraphViz()}];\n`
+  }
+  
+  output += "}\n"
+  return output
+}
+
+StateMachine.prototype.saveGraphViz = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toGraphViz(partialConfig))
+}
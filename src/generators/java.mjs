@@ -20,12 +20,14 @@ import {View} from "./../rendering.mjs"
 import {BlockSection, BlockNode} from "./../utils.mjs"
 import {
   Diagram, DiagramObject, Relation, ClassMember,
-  ClassObject, EnumObject, InterfaceObject, UnresolvedObject, PackageObject,
+  ClassObject, EnumObject, RecordObject, InterfaceObject, AnnotationObject,
+  UnresolvedObject, PackageObject,
   Attribute, Method, Constructor, Argument, Constant,
-  InheritanceRelation, ImplementsRelation, AssociativeRelation
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation
 } from "./../model.mjs"
 import {
-  Type, CollectionType, NamedType, VoidType, ListType, OptionalType, PrimitiveType, SetType, SourceType
+  Type, CollectionType, NamedType, VoidType, ListType, OptionalType, PrimitiveType, SetType, SourceType,
+  ArrayType, MapType, GenericType, WildcardType
 } from "./../types.mjs"
 
 const INDENT = "    "
@@ -53,11 +55,29 @@ PrimitiveType.prototype.toJava = function(isOptional=false) {
   return NAMES[this.name][isOptional ? 1 : 0]
 }
 
-ListType.prototype.toJava = function(isOptional=false) { return `List<${this.item.toJava()}>` }
-SetType.prototype.toJava = function(isOptional=false) { return `Set<${this.item.toJava()}>` }
+// Type arguments are converted using isOptional=true, as they must not be primitive
+CollectionType.prototype.toJava = function(isOptional=false) { return `Collection<${this.item.toJava(true)}>` }
+ListType.prototype.toJava = function(isOptional=false) { return `List<${this.item.toJava(true)}>` }
+SetType.prototype.toJava = function(isOptional=false) { return `Set<${this.item.toJava(true)}>` }
 OptionalType.prototype.toJava = function(isOptional=false) { return this.item.toJava(true) }
+ArrayType.prototype.toJava = function(isOptional=false) { return `${this.item.toJava()}[]` }
 SourceType.prototype.toJava = function(isOptional=false) { return this.source }
 
+MapType.prototype.toJava = function(isOptional=false) {
+  return `Map<${this.key.toJava(true)}, ${this.value.toJava(true)}>`
+}
+
+GenericType.prototype.toJava = function(isOptional=false) {
+  return `${this.name}<${this.args.map(arg => arg.toJava(true)).join(", ")}>`
+}
+
+WildcardType.prototype.toJava = function(isOptional=false) {
+  if (this.bound == null) {
+    return "?"
+  }
+  return `? ${this.kind} ${this.bound.toJava(true)}`
+}
+
 ClassMember.prototype.toJava = function(indent) {
   const modifiers = this.modifiers.map(mod => mod + " ").join("")
   return `${indent}${modifiers}${this.toJavaDecl(indent)}`
@@ -85,29 +105,57 @@ Constant.prototype.toJavaDecl = function(indent) {
   return `${this.name}`
 }
 
-DiagramObject.prototype.toJava = function(indent) {
+DiagramObject.prototype.toJava = function(indent, nesting=new Map()) {
+  return `package ${this.package.join(".")};\n\n` + this.toJavaNested(indent, nesting)
+}
+
+DiagramObject.prototype.toJavaNested = function(indent, nesting) {
   const modifiers = this.modifiers.map(mod => mod + " ").join("")
-  return `package ${this.package.join(".")};\n\n` +
-         `${indent}${modifiers}${this.toJavaDecl(indent)}`
+  return `${indent}${modifiers}${this.toJavaDecl(indent, nesting)}`
+}
+
+function nestedToJava(object, indent, nesting) {
+  return (nesting.get(object) || [])
+    .map(nested => "\n\n" + nested.toJavaNested(indent + INDENT, nesting))
+    .join("")
 }
 
-ClassObject.prototype.toJavaDecl = function(indent) {
+ClassObject.prototype.toJavaDecl = function(indent, nesting) {
   const attrs = this.attributes
     .map(attr => attr.toJava(indent + INDENT))
     .join("\n")
   const methods = [...this.constructors, ...this.methods]
     .map(method => method.toJava(indent + INDENT))
     .join("\n\n")
-  return `class ${this.name} {\n${attrs}\n\n${methods}\n}`
+  const nested = nestedToJava(this, indent, nesting)
+  return `class ${this.simpleName} {\n${attrs}\n\n${methods}${nested}\n${indent}}`
 }
 
-EnumObject.prototype.toJavaDecl = function(indent) {
+RecordObject.prototype.toJavaDecl = function(indent, nesting) {
+  const components = this.attributes
+    .filter(attr => !attr.isStatic)
+    .map(attr => `${attr.type.toJava()} ${attr.name}`)
+    .join(", ")
+  const attrs = this.attributes
+    .filter(attr => attr.isStatic)
+    .map(attr => attr.toJava(indent + INDENT))
+    .join("\n")
+  const methods = [...this.constructors, ...this.methods]
+    .map(method => method.toJava(indent + INDENT))
+    .join("\n\n")
+  const nested = nestedToJava(this, indent, nesting)
+  return `record ${this.simpleName}(${components}) {\n${attrs}\n\n${methods}${nested}\n${indent}}`
+}
+
+EnumObject.prototype.toJavaDecl = function(indent, nesting) {
   let constants = this.constants
     .map(constant => constant.toJava(indent + INDENT))
     .join(",\n")
+  const nested = nestedToJava(this, indent, nesting)
   if (this.attributes.length > 0 ||
       this.constructors.length > 0 ||
-      this.methods.length > 0) {
+      this.methods.length > 0 ||
+      nested.length > 0) {
     constants += ";"
     const attrs = this.attributes
       .map(attr => attr.toJava(indent + INDENT))
@@ -116,26 +164,52 @@ EnumObject.prototype.toJavaDecl = function(indent) {
       .map(method => method.toJava(indent + INDENT))
       .join("\n\n")
     
-    return `enum ${this.name} {\n${constants}\n${attrs}\n\n${methods}\n}`
+    return `enum ${this.simpleName} {\n${constants}\n${attrs}\n\n${methods}${nested}\n${indent}}`
   } else {
-    return `enum ${this.name} {\n${constants}\n}`
+    return `enum ${this.simpleName} {\n${constants}\n${indent}}`
   }
   
 }
 
-InterfaceObject.prototype.toJavaDecl = function(indent) {
+InterfaceObject.prototype.toJavaDecl = function(indent, nesting) {
+  const attrs = this.attributes
+    .map(attr => attr.toJava(indent + INDENT))
+    .join("\n")
   const methods = this.methods
     .map(method => indent + method.toJavaDecl(indent + INDENT))
     .join("\n\n")
-  return `interface ${this.name} {\n${methods};\n}`
+  const nested = nestedToJava(this, indent, nesting)
+  return `interface ${this.simpleName} {\n${attrs}\n\n${methods};${nested}\n${indent}}`
+}
+
+AnnotationObject.prototype.toJavaDecl = function(indent, nesting) {
+  const elements = this.methods
+    .map(method => `${indent + INDENT}${method.result.toJava()} ${method.name}();`)
+    .join("\n")
+  const nested = nestedToJava(this, indent, nesting)
+  return `@interface ${this.simpleName} {\n${elements}${nested}\n${indent}}`
 }
 
 View.prototype.saveJavaProject = function(basePath) {
+  const nesting = new Map()
+  for (const relation of this.diagram.relations) {
+    if (relation instanceof ContainmentRelation) {
+      if (!nesting.has(relation.b)) {
+        nesting.set(relation.b, [])
+      }
+      nesting.get(relation.b).push(relation.a)
+    }
+  }
+  const nested = new Set([...nesting.values()].flat())
+  
   for (const object of this.objects) {
+    if (nested.has(object)) {
+      continue
+    }
     const packageDir = path.join(basePath, ...object.package)
     mkdirSync(packageDir, {recursive: true})
     const objectPath = path.join(packageDir, `${object.name}.java`)
-    writeFileSync(objectPath, object.toJava(""))
+    writeFileSync(objectPath, object.toJava("", nesting))
   }
 }
 
@@ -20,7 +20,7 @@ import {
   DiagramObject,
   ClassObject, EnumObject, InterfaceObject,
   ClassMember, Constant, Attribute, Method, Constructor, Argument,
-  DocComment, ImplementsRelation, InheritanceRelation,
+  DocComment, ImplementsRelation, InheritanceRelation, DependencyRelation,
   UnresolvedObject
 } from "./../model.mjs"
 
@@ -206,7 +206,7 @@ function relationsToLaTeX(name, relations) {
           let name = [...relation.b.package, relation.b.name].join(".")
           return texttt(name.encodeLaTeX())
         }
-        return texttt(nameref("diagramObject:" + relation.b.name))
+        return texttt(nameref("diagramObject:" + relation.b.qualifiedName))
       })
       .join(", ") + "\n"
   }
@@ -235,23 +235,27 @@ DiagramObject.prototype.toLaTeX = function(config) {
       )),
       `\n`
     ), false, this.name
-  ) + label("diagramObject:" + this.name) + "\n"
+  ) + label("diagramObject:" + this.qualifiedName) + "\n"
   
   result += this.doc.toLaTeX() + "\n"
   
   // Relations
   const inheritanceRelations = []
   const implementsRelations = []
+  const dependencyRelations = []
   for (const relation of config.relations.get(this) || []) {
     if (relation instanceof InheritanceRelation) {
       inheritanceRelations.push(relation)
     } else if (relation instanceof ImplementsRelation) {
       implementsRelations.push(relation)
+    } else if (relation instanceof DependencyRelation) {
+      dependencyRelations.push(relation)
     }
   }
 
   result += relationsToLaTeX(config.translations.extends, inheritanceRelations)
   result += relationsToLaTeX(config.translations.implements, implementsRelations)
+  result += relationsToLaTeX(config.translations.uses, dependencyRelations)
 
   return result
 }
@@ -266,6 +270,7 @@ ClassObject.prototype.toLaTeX = function(config) {
 
 InterfaceObject.prototype.toLaTeX = function(config) {
   let section = DiagramObject.prototype.toLaTeX.bind(this)(config)
+  section += membersToLaTeX(config.translations.attributes, this.attributes)
   section += membersToLaTeX(config.translations.methods, this.methods)
 
   return section
@@ -289,7 +294,8 @@ const DEFAULT_CONFIG = {
     attributes: "Attributes",
     methods: "Methods",
     extends: "Extends ",
-    implements: "Implements "
+    implements: "Implements ",
+    uses: "Uses "
   }
 }
 
@@ -0,0 +1,294 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {writeFileSync} from "fs"
+import {View} from "./../rendering.mjs"
+import {SequenceDiagram, Message, Fragment} from "./../sequence.mjs"
+import {
+  DiagramObject, Relation, ClassMember, PackageObject,
+  Attribute, Method, Constructor, Argument, Constant,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  AggregatedRelation, DependencyRelation
+} from "./../model.mjs"
+
+const INDENT = "  "
+
+// Mermaid uses ~ instead of angle brackets for generics
+String.prototype.escapeMermaid = function() {
+  return this.split("<").join("~").split(">").join("~")
+}
+
+// Messages and conditions end at # and ;, which are written as entity codes
+String.prototype.escapeMermaidText = function() {
+  return this.split("#").join("#35;").split(";").join("#59;")
+}
+
+// Names of nested classes contain dots, which need to be quoted
+String.prototype.toMermaidName = function() {
+  if (/^[A-Za-z0-9_~]+$/.test(this)) {
+    return this.toString()
+  }
+  return "`" + this + "`"
+}
+
+ClassMember.prototype.toMermaid = function() {
+  let line = this.visibility
+  if (this.stereotypes.length > 0) {
+    line += `«${this.stereotypes.join(", ")}» `
+  }
+  line += this.toMermaidDecl()
+  if (this.isStatic) { line += "$" }
+  if (this.isAbstract) { line += "*" }
+  return line
+}
+
+ClassMember.prototype.toMermaidDecl = function() {
+  return this.name
+}
+
+Attribute.prototype.toMermaidDecl = function() {
+  return `${this.name}: ${this.type.toString().escapeMermaid()}`
+}
+
+Argument.prototype.toMermaid = function() {
+  return `${this.name}: ${this.type.toString().escapeMermaid()}`
+}
+
+Method.prototype.toMermaidDecl = function() {
+  const args = this.args.map(arg => arg.toMermaid()).join(", ")
+  return `${this.name}(${args}) ${this.result.toString().escapeMermaid()}`
+}
+
+Constructor.prototype.toMermaidDecl = function() {
+  const args = this.args.map(arg => arg.toMermaid()).join(", ")
+  return `${this.name}(${args})`
+}
+
+Constant.prototype.toMermaid = function() {
+  return this.name
+}
+
+DiagramObject.prototype.toMermaid = function(config, indent="", isExternal=false) {
+  const id = config.names.get(this)
+  // Generics follow the quoted name, so that the id matches the one used by relations
+  let decl = `${indent}class ${id.toMermaidName()}${this.withGenerics("").escapeMermaid()}`
+  if (isExternal) {
+    decl = `${indent}class ${id.toMermaidName()}["${id} (from ${this.package.join(".")})"]`
+  }
+  
+  const lines = []
+  if (this.stereotypes.length > 0) {
+    lines.push(`<<${this.stereotypes.join(", ")}>>`)
+  }
+  
+  if (!isExternal && !config.hideMembers) {
+    for (const block of this.memberBlocks) {
+      const shown = block.filter(member => member.important || !config.onlyImportant)
+      lines.push(...shown.map(member => member.toMermaid()))
+      if (shown.length < block.length && shown.length > 0) {
+        lines.push("...")
+      }
+    }
+  }
+  
+  if (lines.length == 0) {
+    return decl + "\n"
+  }
+  return `${decl} {\n${lines.map(line => indent + INDENT + line).join("\n")}\n${indent}}\n`
+}
+
+// Mermaid does not support nested namespaces, so every package becomes a
+// top level namespace named after its full path.
+PackageObject.prototype.toMermaid = function(config, indent="", isExternal=false, path=[]) {
+  if (config.collapsed.has(this)) {
+    const id = config.names.get(this)
+    return `${indent}class ${id.toMermaidName()}["${id}"] {\n${indent}${INDENT}<<package>>\n${indent}}\n`
+  }
+  
+  const packagePath = [...path, this.name].filter(name => name != "")
+  
+  let objects = ""
+  let packages = ""
+  for (const [name, object] of this.objects.entries()) {
+    if (object instanceof PackageObject && !config.collapsed.has(object)) {
+      packages += object.toMermaid(config, indent, false, packagePath)
+    } else {
+      objects += object.toMermaid(config, indent + INDENT)
+    }
+  }
+  
+  if (objects == "") {
+    return packages
+  } else if (packagePath.length == 0) {
+    return objects + packages
+  }
+  return `${indent}namespace ${packagePath.join("_")} {\n${objects}${indent}}\n` + packages
+}
+
+Relation.prototype.toMermaid = function(config) {
+  return `${config.names.get(this.a).toMermaidName()} --> ${config.names.get(this.b).toMermaidName()}`
+}
+
+InheritanceRelation.prototype.toMermaid = function(config) {
+  return `${config.names.get(this.a).toMermaidName()} --|> ${config.names.get(this.b).toMermaidName()}`
+}
+
+ImplementsRelation.prototype.toMermaid = function(config) {
+  return `${config.names.get(this.a).toMermaidName()} ..|> ${config.names.get(this.b).toMermaidName()}`
+}
+
+DependencyRelation.prototype.toMermaid = function(config) {
+  return `${config.names.get(this.a).toMermaidName()} ..> ${config.names.get(this.b).toMermaidName()}`
+}
+
+// Mermaid has no notation for nested classes
+ContainmentRelation.prototype.toMermaid = function(config) {
+  return `${config.names.get(this.b).toMermaidName()} -- ${config.names.get(this.a).toMermaidName()} : nested`
+}
+
+// Mermaid has no edges to namespaces, so edges to expanded packages
+// point to a node inside of the package
+AggregatedRelation.prototype.toMermaid = function(config) {
+  const endPoint = object => {
+    if (object instanceof PackageObject && !config.collapsed.has(object)) {
+      object = config.anchors.get(object)
+    }
+    return object == null ? null : config.names.get(object).toMermaidName()
+  }
+  
+  const a = endPoint(this.a)
+  const b = endPoint(this.b)
+  if (a == null || b == null) {
+    return ""
+  }
+  return `${a} ..> ${b} : ${this.count}`
+}
+
+AssociativeRelation.prototype.toMermaid = function(config) {
+  const toHead = (kind, isStart) => {
+    switch (kind) {
+      case ">":
+      case "<":
+        return isStart ? "<" : ">"
+      case "o": return "o"
+      case "*": return "*"
+      default: return ""
+    }
+  }
+  
+  const toCardinality = (role, multiplicity) => {
+    const label = [role, multiplicity].filter(part => part != "").join(" ")
+    return label == "" ? "" : `"${label}" `
+  }
+  
+  const arrow = toHead(this.headA, true) + "--" + toHead(this.headB, false)
+  
+  let output = `${config.names.get(this.a).toMermaidName()} ${toCardinality(this.roleA, this.multiplicityA)}`
+  output += `${arrow} ${toCardinality(this.roleB, this.multiplicityB)}${config.names.get(this.b).toMermaidName()}`
+  if (this.name != "") {
+    output += ` : ${this.name}`
+  }
+  return output
+}
+
+const DEFAULT_CONFIG = {
+  rankdir: "BT",
+  onlyImportant: false,
+  hideMembers: false
+}
+
+View.prototype.toMermaid = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_CONFIG}, partialConfig || {})
+  
+  let output = "classDiagram\n"
+  output += `direction ${config.rankdir}\n`
+  
+  const {objects, adjacent, relations, names, collapsed, anchors} = this.planRender()
+  config.names = names
+  config.collapsed = collapsed
+  config.anchors = anchors
+  
+  for (const object of objects) {
+    output += object.toMermaid(config)
+  }
+  for (const object of new Set(adjacent)) {
+    output += object.toMermaid(config, "", true)
+  }
+  
+  for (const relation of relations) {
+    output += relation.toMermaid(config) + "\n"
+  }
+  
+  return output
+}
+
+View.prototype.saveMermaid = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toMermaid(partialConfig))
+}
+
+// Sequence diagrams
+
+const DEFAULT_SEQUENCE_CONFIG = {
+  activations: true
+}
+
+// Mermaid has no messages without a sender, so the call of the entry
+// method is only shown as an activation
+Message.prototype.toMermaid = function(config, indent) {
+  const to = config.names.get(this.to)
+  let output = ""
+  if (this.from != null) {
+    output += `${indent}${config.names.get(this.from)}->>${to}: ${this.label.escapeMermaidText()}\n`
+  }
+  if (config.activations) {
+    output += `${indent}activate ${to}\n`
+  }
+  output += this.items.map(item => item.toMermaid(config, indent)).join("")
+  if (config.activations) {
+    output += `${indent}deactivate ${to}\n`
+  }
+  return output
+}
+
+Fragment.prototype.toMermaid = function(config, indent) {
+  let output = ""
+  this.branches.forEach(({condition, items}, index) => {
+    if (index == 0) {
+      output += `${indent}${this.kind} ${condition == null ? "else" : condition.escapeMermaidText()}\n`
+    } else {
+      output += `${indent}else${condition == null ? "" : " " + condition.escapeMermaidText()}\n`
+    }
+    output += items.map(item => item.toMermaid(config, indent + INDENT)).join("")
+  })
+  output += `${indent}end\n`
+  return output
+}
+
+SequenceDiagram.prototype.toMermaid = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_SEQUENCE_CONFIG}, partialConfig || {})
+  config.names = this.names
+  
+  let output = "sequenceDiagram\n"
+  for (const lifeline of this.lifelines) {
+    output += `participant ${config.names.get(lifeline)}\n`
+  }
+  output += this.entry.toMermaid(config, "")
+  return output
+}
+
+SequenceDiagram.prototype.saveMermaid = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toMermaid(partialConfig))
+}
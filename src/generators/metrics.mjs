@@ -0,0 +1,54 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {writeFileSync} from "fs"
+import {MetricsReport, CLASS_METRICS, PACKAGE_METRICS} from "./../passes.mjs"
+
+const COLUMNS = {
+  classes: ["name", "package", ...CLASS_METRICS],
+  packages: ["name", ...PACKAGE_METRICS]
+}
+
+function escapeCSV(value) {
+  if (value == null) {
+    return ""
+  }
+  const text = value.toString()
+  if (/[",\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`
+  }
+  return text
+}
+
+// Writes either the class metrics or the package metrics as CSV
+MetricsReport.prototype.toCSV = function(kind="classes") {
+  if (!Object.hasOwn(COLUMNS, kind)) {
+    throw `Unknown metrics kind ${kind}, expected classes or packages`
+  }
+  const columns = COLUMNS[kind]
+  const rows = [...this[kind].values()].map(metrics => {
+    return columns.map(column => escapeCSV(metrics[column]))
+  })
+  return [columns, ...rows].map(row => row.join(",") + "\n").join("")
+}
+
+MetricsReport.prototype.saveCSV = function(filePath, kind="classes") {
+  writeFileSync(filePath, this.toCSV(kind))
+}
+
+MetricsReport.prototype.saveJSON = function(filePath) {
+  writeFileSync(filePath, JSON.stringify(this, null, 2))
+}
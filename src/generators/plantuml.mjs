@@ -0,0 +1,305 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {writeFileSync} from "fs"
+import {View} from "./../rendering.mjs"
+import {SequenceDiagram, Message, Fragment} from "./../sequence.mjs"
+import {
+  DiagramObject, Relation, ClassMember,
+  ClassObject, EnumObject, InterfaceObject, AnnotationObject, PackageObject,
+  Attribute, Method, Constructor, Argument, Constant,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  AggregatedRelation, DependencyRelation
+} from "./../model.mjs"
+
+const INDENT = "  "
+
+// Stereotypes which are already expressed by the PlantUML keyword
+const KEYWORD_STEREOTYPES = new Set(["abstract", "interface", "enumeration", "annotation"])
+
+String.prototype.escapePlantUML = function() {
+  return "\"" + this.split("\"").join("'") + "\""
+}
+
+ClassMember.prototype.toPlantUML = function() {
+  let prefix = this.visibility
+  if (this.stereotypes.length > 0) {
+    prefix += ` <<${this.stereotypes.join(", ")}>>`
+  }
+  if (this.isStatic) { prefix = `{static} ${prefix}` }
+  if (this.isAbstract) { prefix = `{abstract} ${prefix}` }
+  return `${prefix} ${this.toPlantUMLDecl()}`
+}
+
+ClassMember.prototype.toPlantUMLDecl = function() {
+  return this.name
+}
+
+Attribute.prototype.toPlantUMLDecl = function() {
+  return `${this.name} : ${this.type.toString()}`
+}
+
+Argument.prototype.toPlantUML = function() {
+  return `${this.name} : ${this.type.toString()}`
+}
+
+Method.prototype.toPlantUMLDecl = function() {
+  const args = this.args.map(arg => arg.toPlantUML()).join(", ")
+  return `${this.name}(${args}) : ${this.result.toString()}`
+}
+
+Constructor.prototype.toPlantUMLDecl = function() {
+  const args = this.args.map(arg => arg.toPlantUML()).join(", ")
+  return `${this.name}(${args})`
+}
+
+Constant.prototype.toPlantUML = function() {
+  return this.name
+}
+
+DiagramObject.prototype.plantUMLKeyword = "class"
+InterfaceObject.prototype.plantUMLKeyword = "interface"
+EnumObject.prototype.plantUMLKeyword = "enum"
+AnnotationObject.prototype.plantUMLKeyword = "annotation"
+
+ClassObject.prototype.toPlantUMLKeyword = function() {
+  return this.isAbstract ? `abstract ${this.plantUMLKeyword}` : this.plantUMLKeyword
+}
+
+DiagramObject.prototype.toPlantUMLKeyword = function() {
+  return this.plantUMLKeyword
+}
+
+DiagramObject.prototype.toPlantUMLBody = function(config, indent) {
+  if (config.hideMembers) {
+    return []
+  }
+  
+  const blocks = this.memberBlocks
+    .map(block => {
+      const shown = block
+        .filter(member => member.important || !config.onlyImportant)
+        .map(member => member.toPlantUML())
+      if (shown.length < block.length && shown.length > 0) {
+        shown.push("..")
+      }
+      return shown
+    })
+    .filter(block => block.length > 0)
+  
+  const lines = []
+  blocks.forEach((block, index) => {
+    if (index > 0) {
+      lines.push("--")
+    }
+    lines.push(...block)
+  })
+  return lines.map(line => indent + INDENT + line)
+}
+
+DiagramObject.prototype.toPlantUML = function(config, indent="", isExternal=false) {
+  const id = config.names.get(this)
+  let decl = `${this.toPlantUMLKeyword()} `
+  if (isExternal) {
+    decl += `${`${id}\\n(from ${this.package.join(".")})`.escapePlantUML()} as ${id}`
+  } else {
+    decl += this.withGenerics(id)
+  }
+  
+  const stereotypes = this.stereotypes.filter(stereotype => !KEYWORD_STEREOTYPES.has(stereotype))
+  if (stereotypes.length > 0) {
+    decl += " " + stereotypes.map(stereotype => `<<${stereotype}>>`).join(" ")
+  }
+  
+  const body = isExternal ? [] : this.toPlantUMLBody(config, indent)
+  if (body.length == 0) {
+    return `${indent}${decl}\n`
+  }
+  return `${indent}${decl} {\n${body.join("\n")}\n${indent}}\n`
+}
+
+PackageObject.prototype.toPlantUML = function(config, indent="", isExternal=false) {
+  if (config.collapsed.has(this)) {
+    return `${indent}package ${config.names.get(this)} {\n${indent}}\n`
+  }
+  
+  let output = ""
+  const innerIndent = this.name == "" ? indent : indent + INDENT
+  for (const [name, object] of this.objects.entries()) {
+    output += object.toPlantUML(config, innerIndent)
+  }
+  
+  if (this.name == "") {
+    return output
+  }
+  return `${indent}package ${this.name} {\n${output}${indent}}\n`
+}
+
+Relation.prototype.toPlantUML = function(config) {
+  return `${config.names.get(this.a)} --> ${config.names.get(this.b)}`
+}
+
+InheritanceRelation.prototype.toPlantUML = function(config) {
+  return `${config.names.get(this.a)} --|> ${config.names.get(this.b)}`
+}
+
+ImplementsRelation.prototype.toPlantUML = function(config) {
+  return `${config.names.get(this.a)} ..|> ${config.names.get(this.b)}`
+}
+
+DependencyRelation.prototype.toPlantUML = function(config) {
+  return `${config.names.get(this.a)} ..> ${config.names.get(this.b)}`
+}
+
+ContainmentRelation.prototype.toPlantUML = function(config) {
+  return `${config.names.get(this.b)} +-- ${config.names.get(this.a)}`
+}
+
+// Edges to expanded packages point to a node inside of the package
+AggregatedRelation.prototype.endPointName = function(object, config) {
+  if (object instanceof PackageObject && !config.collapsed.has(object)) {
+    const anchor = config.anchors.get(object)
+    return anchor == null ? null : config.names.get(anchor)
+  }
+  return config.names.get(object)
+}
+
+AggregatedRelation.prototype.toPlantUML = function(config) {
+  const a = this.endPointName(this.a, config)
+  const b = this.endPointName(this.b, config)
+  if (a == null || b == null) {
+    return ""
+  }
+  return `${a} ..> ${b} : ${this.count}`
+}
+
+AssociativeRelation.prototype.toPlantUML = function(config) {
+  const toHead = (kind, isStart) => {
+    switch (kind) {
+      case ">":
+      case "<":
+        return isStart ? "<" : ">"
+      case "o": return "o"
+      case "*": return "*"
+      default: return ""
+    }
+  }
+  
+  const toLabel = (role, multiplicity) => {
+    const label = [role, multiplicity].filter(part => part != "").join("\\n")
+    return label == "" ? "" : label.escapePlantUML() + " "
+  }
+  
+  const line = this.visual.flat ? "-" : "--"
+  const arrow = toHead(this.headA, true) + line + toHead(this.headB, false)
+  
+  let output = `${config.names.get(this.a)} ${toLabel(this.roleA, this.multiplicityA)}`
+  output += `${arrow} ${toLabel(this.roleB, this.multiplicityB)}${config.names.get(this.b)}`
+  if (this.name != "") {
+    output += ` : ${this.name}`
+  }
+  return output
+}
+
+const DEFAULT_CONFIG = {
+  onlyImportant: false,
+  hideMembers: false,
+  hideEmptyMembers: true
+}
+
+View.prototype.toPlantUML = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_CONFIG}, partialConfig || {})
+  
+  let output = "@startuml\n"
+  output += "set separator none\n"
+  if (config.hideEmptyMembers) {
+    output += "hide empty members\n"
+  }
+  
+  const {objects, adjacent, relations, names, collapsed, anchors} = this.planRender()
+  config.names = names
+  config.collapsed = collapsed
+  config.anchors = anchors
+  
+  for (const object of objects) {
+    output += object.toPlantUML(config)
+  }
+  for (const object of new Set(adjacent)) {
+    output += object.toPlantUML(config, "", true)
+  }
+  
+  for (const relation of relations) {
+    output += relation.toPlantUML(config) + "\n"
+  }
+  
+  output += "@enduml\n"
+  return output
+}
+
+View.prototype.savePlantUML = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toPlantUML(partialConfig))
+}
+
+// Sequence diagrams
+
+const DEFAULT_SEQUENCE_CONFIG = {
+  activations: true
+}
+
+Message.prototype.toPlantUML = function(config, indent) {
+  const to = config.names.get(this.to).escapePlantUML()
+  const from = this.from == null ? "[" : config.names.get(this.from).escapePlantUML() + " "
+  let output = `${indent}${from}-> ${to} : ${this.label}\n`
+  if (config.activations) {
+    output += `${indent}activate ${to}\n`
+  }
+  output += this.items.map(item => item.toPlantUML(config, indent)).join("")
+  if (config.activations) {
+    output += `${indent}deactivate ${to}\n`
+  }
+  return output
+}
+
+Fragment.prototype.toPlantUML = function(config, indent) {
+  let output = ""
+  this.branches.forEach(({condition, items}, index) => {
+    if (index == 0) {
+      output += `${indent}${this.kind} ${condition == null ? "else" : condition}\n`
+    } else {
+      output += `${indent}else${condition == null ? "" : " " + condition}\n`
+    }
+    output += items.map(item => item.toPlantUML(config, indent + INDENT)).join("")
+  })
+  output += `${indent}end\n`
+  return output
+}
+
+SequenceDiagram.prototype.toPlantUML = function(partialConfig) {
+  const config = Object.assign({...DEFAULT_SEQUENCE_CONFIG}, partialConfig || {})
+  config.names = this.names
+  
+  let output = "@startuml\n"
+  for (const lifeline of this.lifelines) {
+    output += `participant ${config.names.get(lifeline).escapePlantUML()}\n`
+  }
+  output += this.entry.toPlantUML(config, "")
+  output += "@enduml\n"
+  return output
+}
+
+SequenceDiagram.prototype.savePlantUML = function(filePath, partialConfig) {
+  writeFileSync(filePath, this.toPlantUML(partialConfig))
+}
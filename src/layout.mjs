@@ -0,0 +1,93 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {readFileSync, writeFileSync, existsSync} from "fs"
+
+// Fixed node positions keyed by object name.
+// Positions are stored in points, the unit used by dot -Tjson.
+export class Layout {
+  constructor() {
+    this.positions = new Map()
+  }
+  
+  has(name) {
+    return this.positions.has(name)
+  }
+  
+  get(name) {
+    return this.positions.get(name)
+  }
+  
+  set(name, x, y) {
+    this.positions.set(name, {x, y})
+  }
+  
+  merge(other) {
+    for (const [name, pos] of other.positions) {
+      this.set(name, pos.x, pos.y)
+    }
+    return this
+  }
+  
+  toJSON() {
+    const positions = {}
+    for (const [name, pos] of this.positions) {
+      positions[name] = {x: pos.x, y: pos.y}
+    }
+    return {positions}
+  }
+  
+  save(filePath) {
+    writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2) + "\n")
+  }
+  
+  static fromJSON(json) {
+    const layout = new Layout()
+    for (const [name, pos] of Object.entries(json.positions || {})) {
+      layout.set(name, pos.x, pos.y)
+    }
+    return layout
+  }
+  
+  static load(filePath) {
+    if (!existsSync(filePath)) {
+      return new Layout()
+    }
+    return Layout.fromJSON(JSON.parse(readFileSync(filePath).toString()))
+  }
+  
+  // Reads the node positions from the output of dot -Tjson
+  static fromGraphVizJSON(json) {
+    const layout = new Layout()
+    for (const object of json.objects || []) {
+      if (object.pos && object.name) {
+        const [x, y] = object.pos.split(",").map(Number.parseFloat)
+        layout.set(object.name, x, y)
+      }
+    }
+    return layout
+  }
+}
+
+// Captures the positions of a dot -Tjson run into the layout file.
+// Objects which are already in the layout file, but not in the rendered
+// graph keep their position.
+export function captureLayout(graphVizJsonPath, layoutPath) {
+  const json = JSON.parse(readFileSync(graphVizJsonPath).toString())
+  const layout = Layout.load(layoutPath).merge(Layout.fromGraphVizJSON(json))
+  layout.save(layoutPath)
+  return layout
+}
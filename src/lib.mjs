@@ -16,26 +16,43 @@
 
 // Better Diagrams
 
-/*
- * Todo List:
- * - Private classes
- *
- * Large Tasks:
- * - TypeScript Import
- * - PlantUML Export
- * - Interactive positioning
- */
-
-import {Diagram} from "./model.mjs"
+import {
+  Diagram, Diagnostic,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  DependencyRelation
+} from "./model.mjs"
 import {View} from "./rendering.mjs"
-import {buildPackageTree, inferAssociations, markImportant, addGetters} from "./passes.mjs"
+import {Layout, captureLayout} from "./layout.mjs"
+import {DiagramDiff} from "./diff.mjs"
+import "./serialization.mjs"
+import {Selector} from "./query.mjs"
+import {checkRules, RuleReport, RuleViolation} from "./rules.mjs"
+import {CallGraphView} from "./callgraph.mjs"
+import {SequenceDiagram} from "./sequence.mjs"
+import {StateMachine, Transition} from "./statemachine.mjs"
+import {validate, ValidationReport} from "./validation.mjs"
+import {
+  buildPackageTree, inferAssociations, markImportant, addGetters, findCycles, CycleReport,
+  computeMetrics, MetricsReport
+} from "./passes.mjs"
 
 import "./parsers/java.mjs"
 import "./parsers/graphql.mjs"
+import "./parsers/typescript.mjs"
 
 import "./generators/graphviz.mjs"
 import "./generators/latex.mjs"
 import "./generators/java.mjs"
+import "./generators/plantuml.mjs"
+import "./generators/mermaid.mjs"
+import "./generators/metrics.mjs"
 
-export { Diagram, View, buildPackageTree, inferAssociations, markImportant, addGetters }
+export {
+  Diagram, View, Layout, captureLayout, DiagramDiff, Selector,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  DependencyRelation, buildPackageTree, inferAssociations, markImportant, addGetters, findCycles, CycleReport,
+  computeMetrics, MetricsReport, checkRules, RuleReport, RuleViolation,
+  validate, ValidationReport, Diagnostic, CallGraphView, SequenceDiagram,
+  StateMachine, Transition
+}
 
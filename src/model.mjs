@@ -21,6 +21,7 @@ export class Diagram {
   constructor() {
     this.objects = new Map()
     this.relations = []
+    this.diagnostics = []
   }
   
   fuse(other) {
@@ -35,21 +36,65 @@ export class Diagram {
     for (const relation of other.relations) {
       this.addRelation(relation)
     }
+    this.diagnostics = [...this.diagnostics, ...other.diagnostics]
   }
   
   addObject(object) {
-    if (this.objects.has(object.name)) {
-      throw "Multiple objects with the same name"
+    if (this.objects.has(object.qualifiedName)) {
+      throw `Multiple objects with the same name ${object.qualifiedName}`
     }
-    this.objects.set(object.name, object)
+    this.objects.set(object.qualifiedName, object)
   }
   
-  hasObject(name) {
-    return this.objects.has(name)
+  hasObject(qualifiedName) {
+    return this.objects.has(qualifiedName)
   }
   
-  getObject(name) {
-    return this.objects.get(name)
+  getObject(qualifiedName) {
+    return this.objects.get(qualifiedName)
+  }
+  
+  // Finds the object referred to by name from within the context object.
+  // Tries explicit imports, the enclosing scopes of the context object
+  // (innermost first), its package and wildcard imports before falling
+  // back to a unique simple name. The name may refer to a nested object
+  // (e.g. Outer.Inner), its first part is resolved like a simple name.
+  lookup(name, context=null) {
+    if (this.objects.has(name)) {
+      return this.objects.get(name)
+    }
+    
+    if (context != null) {
+      const candidates = []
+      const head = name.split(".")[0]
+      if (context.imports.has(head)) {
+        candidates.push([...context.imports.get(head), name])
+      }
+      const scopes = context.name.split(".")
+      for (let it = scopes.length; it > 0; it--) {
+        candidates.push([...context.package, scopes.slice(0, it).join("."), name])
+      }
+      candidates.push([...context.package, name])
+      for (const pkg of context.wildcardImports) {
+        candidates.push([...pkg, name])
+      }
+      
+      for (const candidate of candidates) {
+        const qualifiedName = candidate.join(".")
+        if (this.objects.has(qualifiedName)) {
+          return this.objects.get(qualifiedName)
+        }
+      }
+    }
+    
+    // Top level objects take precedence over nested ones
+    for (const key of ["name", "simpleName"]) {
+      const found = [...this.objects.values()].filter(object => object[key] == name)
+      if (found.length > 0) {
+        return found.length == 1 ? found[0] : null
+      }
+    }
+    return null
   }
   
   addRelation(relation) {
@@ -69,24 +114,65 @@ export class Diagram {
   }
 }
 
+function visibilityModifiers(visibility) {
+  switch (visibility) {
+    case "+": return ["public"]
+    case "-": return ["private"]
+    case "#": return ["protected"]
+  }
+  return []
+}
+
 export class DiagramObject {
   constructor(name) {
     this.name = name
     this.package = []
+    this.visibility = "+"
+    this.isStatic = false
+    this.isSealed = false
+    this.isNonSealed = false
+    // Names of the permitted subtypes of a sealed object as written in the source
+    this.permits = []
     this.doc = new DocComment()
     this.customStereotypes = []
     this.generics = []
+    this.imports = new Map()
+    this.wildcardImports = []
+    this.location = null
   }
   
   addGeneric(genericType) {
     this.generics.push(genericType)
   }
   
-  get stereotypes() { return [...this.customStereotypes] }
-  get modifiers() { return ["public"] }
+  get stereotypes() {
+    const stereotypes = [...this.customStereotypes]
+    if (this.isSealed) { stereotypes.push("sealed") }
+    if (this.isNonSealed) { stereotypes.push("non-sealed") }
+    return stereotypes
+  }
+  
+  get modifiers() {
+    const modifiers = visibilityModifiers(this.visibility)
+    if (this.isStatic) { modifiers.push("static") }
+    if (this.isSealed) { modifiers.push("sealed") }
+    if (this.isNonSealed) { modifiers.push("non-sealed") }
+    return modifiers
+  }
+  
+  get simpleName() {
+    return this.name.split(".").pop()
+  }
+  
+  get qualifiedName() {
+    return [...this.package, this.name].join(".")
+  }
   
   get nameWithGenerics() {
-    let name = this.name
+    return this.withGenerics(this.name)
+  }
+  
+  withGenerics(name) {
     if (this.generics.length > 0) {
       name += `<${this.generics.map(type => type.toString()).join(", ")}>`
     }
@@ -94,6 +180,7 @@ export class DiagramObject {
   }
   
   fuse(other) {
+    this.location = this.location || other.location
   }
   
   collectObjects() {
@@ -108,12 +195,12 @@ export class DiagramObject {
     return this.memberBlocks.flatMap(block => block)
   }
   
-  toBlockSections(onlyImportant=false) {
-    return this.memberBlocks
+  toBlockSections(onlyImportant=false, memberBlocks=this.memberBlocks, toHtml=member => member.toHtml()) {
+    return memberBlocks
       .map(block => {
         const shown = block
           .filter(member => member.important || !onlyImportant)
-          .map(member => member.toHtml())
+          .map(toHtml)
         if (shown.length < block.length && shown.length > 0) {
           shown.push("...")
         }
@@ -198,9 +285,14 @@ export class EnumObject extends ClassObject {
   }
 }
 
+export class RecordObject extends ClassObject {
+  get stereotypes() { return ["record", ...super.stereotypes] }
+}
+
 export class InterfaceObject extends DiagramObject {
   constructor(name) {
     super(name)
+    this.attributes = []
     this.methods = []
   }
   
@@ -208,7 +300,12 @@ export class InterfaceObject extends DiagramObject {
   
   fuse(other) {
     super.fuse(other)
-    this.methods = [...this.methods, other.methods]
+    this.attributes = [...this.attributes, ...other.attributes]
+    this.methods = [...this.methods, ...other.methods]
+  }
+  
+  addAttribute(attribute) {
+    this.attributes.push(attribute)
   }
   
   addMethod(method) {
@@ -216,10 +313,17 @@ export class InterfaceObject extends DiagramObject {
   }
   
   get memberBlocks() {
+    if (this.attributes.length > 0) {
+      return [this.attributes, this.methods]
+    }
     return [this.methods]
   }
 }
 
+export class AnnotationObject extends InterfaceObject {
+  get stereotypes() { return ["annotation", ...this.customStereotypes] }
+}
+
 export class UnresolvedObject extends DiagramObject {
   
 }
@@ -283,6 +387,7 @@ export class ClassMember {
     this.customStereotypes = []
     this.doc = new DocComment()
     this.important = false
+    this.location = null
   }
   
   get stereotypes() {
@@ -290,12 +395,7 @@ export class ClassMember {
   }
   
   get modifiers() {
-    const modifiers = []
-    switch (this.visibility) {
-      case "+": modifiers.push("public"); break
-      case "-": modifiers.push("private"); break
-      case "#": modifiers.push("protected"); break
-    }
+    const modifiers = visibilityModifiers(this.visibility)
     if (this.isStatic) { modifiers.push("static") }
     return modifiers
   }
@@ -334,6 +434,7 @@ export class Method extends ClassMember {
     this.isAbstract = false
     this.args = args
     this.result = result
+    this.invocations = []
   }
   
   get modifiers() {
@@ -357,6 +458,7 @@ export class Constructor extends ClassMember {
   constructor(visibility, name, args) {
     super(visibility, name)
     this.args = args
+    this.invocations = []
   }
   
   get stereotypes() {
@@ -369,6 +471,23 @@ export class Constructor extends ClassMember {
   }
 }
 
+// Call of the method name with argCount arguments on the receiver, which
+// is either "this", "super" or the name of the type of the called object.
+// The fragments are the enclosing conditionals ({kind: "alt"}) and loops
+// ({kind: "loop"}) from the outermost to the innermost one. Each fragment
+// has an id which is unique within the method, the index of the branch
+// and its condition (null for else branches). Branches of conditionals
+// also list the conditions of the preceding branches (previous).
+export class Invocation {
+  constructor(receiver, name, argCount) {
+    this.receiver = receiver
+    this.name = name
+    this.argCount = argCount
+    this.fragments = []
+    this.location = null
+  }
+}
+
 export class Argument {
   constructor(name, type) {
     this.name = name
@@ -395,6 +514,7 @@ export class Relation {
     this.a = a
     this.b = b
     this.visual = {}
+    this.location = null
   }
   
   shouldRender(rendered) {
@@ -419,6 +539,30 @@ export class ImplementsRelation extends Relation {
   
 }
 
+// Relation from an object (a) to an object it uses (b) in the signature
+// or body of a method, but does not store in an attribute
+export class DependencyRelation extends Relation {
+  
+}
+
+// Relation from a nested object (a) to the object containing it (b)
+export class ContainmentRelation extends Relation {
+  
+}
+
+// Relation standing in for all relations between the objects of
+// two collapsed packages (or a collapsed package and an object)
+export class AggregatedRelation extends Relation {
+  constructor(a, b) {
+    super(a, b)
+    this.relations = []
+  }
+  
+  get count() {
+    return this.relations.length
+  }
+}
+
 export class AssociativeRelation extends Relation {
   constructor(a, b) {
     super(a, b)
@@ -436,6 +580,7 @@ export class DocComment {
   constructor(content) {
     this.content = content || ""
     this.attrs = []
+    this.location = null
   }
   
   addAttribute(name, params, value) {
@@ -445,5 +590,75 @@ export class DocComment {
   findAttribute(name) {
     return this.attrs.find(attr => name == attr.name) || null
   }
+  
+  static parse(comment) {
+    let lines = comment.split("\n").map(line => line.trim())
+    // Single line doc comments (e.g. /** @final */) have one line of content
+    const single = lines[0].match(/^\/\*\*(.*\S.*)\*\/$/)
+    if (lines.length == 1 && single != null) {
+      lines = ["/**", "* " + single[1].trim(), "*/"]
+    }
+    if (lines[0] != "/**") {
+      return new DocComment("")
+    }
+    
+    const doc = new DocComment("")
+    
+    const content = []
+    let isValid = true
+    for (let line of lines.slice(1)) {
+      if (line == "*/") { continue }
+      if (!line.startsWith("*")) {
+        isValid = false
+        break
+      }
+      line = line.substr(1).trim()
+      if (line.startsWith("@")) {
+        const [name, rest=""] = line.splitOne(" ")
+        switch(name) {
+          case "@param":
+          case "@throws":
+            const [param, description=""] = rest.splitOne(" ")
+            doc.addAttribute(name, [param], description)
+          break
+          case "@assoc":
+          case "@transition":
+            doc.addAttribute(name, rest.split(" "), "")
+          break
+          default: doc.addAttribute(name, [], rest)
+        }
+      } else {
+        content.push(line)
+      }
+    }
+    
+    if (isValid) {
+      doc.content = content.join("\n")
+      return doc
+    } else {
+      throw "Invalid doc comment"
+    }
+  }
 }
 
+// Problem found while parsing or validating a diagram. The location
+// ({file, line, column}) is null if the source is unknown.
+export class Diagnostic {
+  constructor(severity, message, location=null) {
+    this.severity = severity
+    this.message = message
+    this.location = location
+  }
+  
+  get file() { return this.location == null ? null : this.location.file }
+  get line() { return this.location == null ? null : this.location.line }
+  
+  toString() {
+    if (this.location == null) {
+      return `${this.severity}: ${this.message}`
+    }
+    const {file, line, column} = this.location
+    const position = [file || "<unknown>", line, column].filter(part => part != null).join(":")
+    return `${position}: ${this.severity}: ${this.message}`
+  }
+}
@@ -16,7 +16,7 @@
 
 
 import path from "path"
-import {parse} from "graphql"
+import {parse, GraphQLError} from "graphql"
 import {readFileSync} from "fs"
 import {walkTree} from "./../utils.mjs"
 import {resolveObjects, inferAssociations} from "./../passes.mjs"
@@ -24,20 +24,26 @@ import {
   Diagram,
   ClassObject, EnumObject, InterfaceObject, UnresolvedObject, PackageObject,
   Attribute, Method, Constructor, Argument, Constant,
-  InheritanceRelation, ImplementsRelation, AssociativeRelation
+  InheritanceRelation, ImplementsRelation, AssociativeRelation,
+  Diagnostic
 } from "./../model.mjs"
 import {
   Type, CollectionType, NamedType, VoidType, ListType, OptionalType, PrimitiveType, SetType, SourceType
 } from "./../types.mjs"
 
 class GraphQlVisitor {
-  constructor(diagram, config) {
+  constructor(diagram, config, filePath=null) {
     this.diagram = diagram
+    this.filePath = filePath
     this.defaultVisibility = "-"
     this.package = []
     this.config = config
   }
   
+  locationOf(node) {
+    return {file: this.filePath, line: node.loc.startToken.line, column: node.loc.startToken.column}
+  }
+  
   extractFromSource(node) {
     return node.loc.source.body.substring(node.loc.start, node.loc.end)
   }
@@ -71,24 +77,29 @@ class GraphQlVisitor {
     return type
   }
   
-  objectTypeDef(definition) {
+  objectTypeDef(definition, packagePath=this.package) {
     const object = new ClassObject(definition.name.value)
     for (const field of definition.fields) {
-      object.addAttribute(new Attribute(
+      const attr = new Attribute(
         this.defaultVisibility,
         field.name.value,
         this.parseType(field.type)
-      ))
+      )
+      attr.location = this.locationOf(field)
+      object.addAttribute(attr)
     }
-    object.package = [...this.package]
+    object.package = [...packagePath]
+    object.location = this.locationOf(definition.name)
     this.diagram.addObject(object)
     
     for (const implementedInterface of definition.interfaces || []) {
       if (implementedInterface.kind == "NamedType") {
-        this.diagram.addRelation(new ImplementsRelation(
+        const relation = new ImplementsRelation(
           object,
           new UnresolvedObject(implementedInterface.name.value)
-        ))
+        )
+        relation.location = this.locationOf(implementedInterface)
+        this.diagram.addRelation(relation)
       }
     }
     
@@ -98,20 +109,23 @@ class GraphQlVisitor {
   enumTypeDef(definition) {
     const object = new EnumObject(definition.name.value)
     for (const value of definition.values) {
-      object.addConstant(new Constant(value.name.value))
+      const constant = new Constant(value.name.value)
+      constant.location = this.locationOf(value)
+      object.addConstant(constant)
     }
     object.package = [...this.package]
+    object.location = this.locationOf(definition.name)
     this.diagram.addObject(object)
   }
   
   inputTypeDef(definition) {
-    const object = this.objectTypeDef(definition)
-    object.package = [...object.package, ...this.config.inputsPackage]
+    this.objectTypeDef(definition, [...this.package, ...this.config.inputsPackage])
   }
   
   interfaceTypeDef(definition) {
     const object = new InterfaceObject(definition.name.value)
     object.package = [...this.package]
+    object.location = this.locationOf(definition.name)
     this.diagram.addObject(object)
   }
   
@@ -142,9 +156,24 @@ const DEFAULT_CONFIG = {
   inputsPackage: ["inputs"]
 }
 
+// Schemas with syntax errors are reported and skipped
 function loadGraphQL(schemaPath, diagram, config) {
-  const document = parse(readFileSync(schemaPath).toString())
-  const visitor = new GraphQlVisitor(diagram, config)
+  let document = null
+  try {
+    document = parse(readFileSync(schemaPath).toString())
+  } catch (error) {
+    if (!(error instanceof GraphQLError)) {
+      throw error
+    }
+    const [position] = error.locations || [{line: null, column: null}]
+    diagram.diagnostics.push(new Diagnostic("error", error.message, {
+      file: schemaPath,
+      line: position.line,
+      column: position.column
+    }))
+    return
+  }
+  const visitor = new GraphQlVisitor(diagram, config, schemaPath)
   visitor.package = [...config.basePackage, path.parse(schemaPath).name]
   visitor.document(document)
 }
@@ -18,36 +18,61 @@ import path from "path"
 import {readFileSync} from "fs"
 import {parse, BaseJavaCstVisitorWithDefaults} from "java-parser"
 import {walkTree} from "./../utils.mjs"
-import {resolveObjects, inferAssociations} from "./../passes.mjs"
+import {resolveObjects, inferAssociations, pruneDependencies} from "./../passes.mjs"
+import {ParseCache, hashContent, hashConfig} from "./../cache.mjs"
+import {WorkerPool, defaultWorkerCount} from "./../workers.mjs"
 import {
   Diagram,
-  ClassObject, EnumObject, InterfaceObject, UnresolvedObject, PackageObject,
-  Attribute, Method, Constructor, Argument, Constant,
-  InheritanceRelation, ImplementsRelation, AssociativeRelation,
-  DocComment
+  ClassObject, EnumObject, RecordObject, InterfaceObject, AnnotationObject,
+  UnresolvedObject, PackageObject,
+  Attribute, Method, Constructor, Argument, Constant, Invocation,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  DependencyRelation, DocComment, Diagnostic
 } from "./../model.mjs"
 import {
-  Type, CollectionType, NamedType, VoidType, ListType, SetType, SourceType
+  Type, CollectionType, NamedType, VoidType, ListType, SetType, OptionalType, PrimitiveType,
+  ArrayType, MapType, GenericType, WildcardType, SourceType
 } from "./../types.mjs"
 
 class Visitor extends BaseJavaCstVisitorWithDefaults {
-  constructor(source, diagram, config) {
+  constructor(source, diagram, config, filePath=null) {
     super()
     this.source = source
     this.diagram = diagram
     this.config = config
-    this.package = null
+    this.filePath = filePath
+    this.package = []
     this.imports = new Map()
+    this.wildcardImports = []
   }
   
+  // Leading lower case parts of qualified names (e.g. java.util.List)
+  // are packages by convention, the remaining parts name nested objects
   createUnresolvedObject(name) {
-    const object = new UnresolvedObject(name)
-    if (this.imports.has(name)) {
-      object.package = [...this.imports.get(name)]
+    const parts = name.split(".")
+    let index = 0
+    while (index < parts.length - 1 && /^[a-z]/.test(parts[index])) {
+      index++
+    }
+    const object = new UnresolvedObject(parts.slice(index).join("."))
+    object.package = parts.slice(0, index)
+    if (index == 0 && this.imports.has(parts[0])) {
+      object.package = [...this.imports.get(parts[0])]
     }
     return object
   }
   
+  // Full name of a type as written in the source (e.g. Outer.Inner)
+  parseTypeName(node) {
+    return node.children.Identifier.map(token => token.image).join(".")
+  }
+  
+  parsePermits(object, permits) {
+    if (permits) {
+      object.permits = permits[0].children.typeName.map(type => this.parseTypeName(type))
+    }
+  }
+  
   hasModifier(modifiers, modifier) {
     return modifiers.some(mod => mod.children.hasOwnProperty(modifier))
   }
@@ -63,18 +88,124 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
     return "~"
   }
   
+  locationOf(node) {
+    return {file: this.filePath, line: node.location.startLine, column: node.location.startColumn}
+  }
+  
+  locationOfToken(token) {
+    return {file: this.filePath, line: token.startLine, column: token.startColumn}
+  }
+  
+  locationAt(offset) {
+    if (this.lineStarts == null) {
+      this.lineStarts = [0]
+      for (let it = 0; it < this.source.length; it++) {
+        if (this.source.charAt(it) == "\n") {
+          this.lineStarts.push(it + 1)
+        }
+      }
+    }
+    let line = 0
+    while (line + 1 < this.lineStarts.length && this.lineStarts[line + 1] <= offset) {
+      line++
+    }
+    return {file: this.filePath, line: line + 1, column: offset - this.lineStarts[line] + 1}
+  }
+  
   extractFromSource(node) {
     return this.source.substring(node.location.startOffset, node.location.endOffset + 1)
   }
   
+  // Parses unannType and referenceType nodes.
+  // Types which cannot be represented are kept as SourceType.
   parseType(node) {
+    if (!this.config.sourceTypes) {
+      const type = this.parseStructuredType(node)
+      if (type != null) {
+        return type
+      }
+    }
     return new SourceType(this.extractFromSource(node))
   }
   
+  parseStructuredType(node) {
+    const children = node.children
+    if (children.unannPrimitiveTypeWithOptionalDimsSuffix) {
+      const child = children.unannPrimitiveTypeWithOptionalDimsSuffix[0].children
+      const type = new PrimitiveType(this.extractFromSource(child.unannPrimitiveType[0]))
+      return this.parseDims(type, child.dims)
+    } else if (children.unannReferenceType) {
+      const child = children.unannReferenceType[0].children
+      const classType = child.unannClassOrInterfaceType[0].children.unannClassType[0]
+      return this.parseDims(this.parseClassType(classType), child.dims)
+    } else if (children.primitiveType) {
+      const type = new PrimitiveType(this.extractFromSource(children.primitiveType[0]))
+      return this.parseDims(type, children.dims)
+    } else if (children.classOrInterfaceType) {
+      const classType = children.classOrInterfaceType[0].children.classType[0]
+      return this.parseDims(this.parseClassType(classType), children.dims)
+    }
+    return null
+  }
+  
+  parseDims(type, dims) {
+    if (type == null || !dims) {
+      return type
+    }
+    for (const bracket of dims[0].children.LSquare) {
+      type = new ArrayType(type)
+    }
+    return type
+  }
+  
+  parseClassType(node) {
+    const children = node.children
+    const typeArguments = children.typeArguments || []
+    if (children.annotation || typeArguments.length > 1) {
+      return null
+    }
+    
+    const name = children.Identifier.map(ident => ident.image).join(".")
+    let args = []
+    if (typeArguments.length > 0) {
+      args = typeArguments[0].children
+        .typeArgumentList[0].children
+        .typeArgument
+        .map(arg => this.parseTypeArgument(arg))
+    }
+    
+    switch (name.replace(/^java\.util\./, "")) {
+      case "List": if (args.length == 1) { return new ListType(args[0]) } break
+      case "Set": if (args.length == 1) { return new SetType(args[0]) } break
+      case "Collection": if (args.length == 1) { return new CollectionType(args[0]) } break
+      case "Optional": if (args.length == 1) { return new OptionalType(args[0]) } break
+      case "Map": if (args.length == 2) { return new MapType(args[0], args[1]) } break
+    }
+    
+    if (args.length == 0) {
+      return new NamedType(name)
+    }
+    return new GenericType(name, args)
+  }
+  
+  parseTypeArgument(node) {
+    if (node.children.wildcard) {
+      const wildcard = node.children.wildcard[0].children
+      if (!wildcard.wildcardBounds) {
+        return new WildcardType()
+      }
+      const bounds = wildcard.wildcardBounds[0].children
+      const kind = bounds.Super ? "super" : "extends"
+      return new WildcardType(kind, this.parseType(bounds.referenceType[0]))
+    }
+    return this.parseType(node.children.referenceType[0])
+  }
+  
+  // Parses field declarations of classes and constant declarations of interfaces
   parseAttributes(fieldDeclaration) {
     const type = this.parseType(fieldDeclaration.children.unannType[0])
     
-    const modifiers = fieldDeclaration.children.fieldModifier || []
+    const modifiers = fieldDeclaration.children.fieldModifier || fieldDeclaration.children.constantModifier || []
     const visibility = this.getVisibility(modifiers)
     const customStereotypes = this.parseCustomStereotypes(modifiers)
     
@@ -83,6 +214,7 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
       const name = decl.children.variableDeclaratorId[0].children.Identifier[0].image
       
       const attr = new Attribute(visibility, name, type.clone())
+      attr.location = this.locationOf(decl.children.variableDeclaratorId[0])
       attr.isStatic = this.hasModifier(modifiers, "Static")
       attr.customStereotypes = [...customStereotypes]
       return attr
@@ -93,6 +225,15 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
     const args = []
     if (formalParameterList) {
       for (const param of formalParameterList[0].children.formalParameter) {
+        if (param.children.variableArityParameter) {
+          const paramDecl = param.children.variableArityParameter[0]
+          
+          const type = new ArrayType(this.parseType(paramDecl.children.unannType[0]))
+          const name = paramDecl.children.Identifier[0].image
+          args.push(new Argument(name, type))
+          continue
+        }
+        
         const paramDecl = param.children.variableParaRegularParameter[0]
         
         const type = this.parseType(paramDecl.children.unannType[0])
@@ -118,6 +259,7 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
     const visibility = this.getVisibility(modifiers)
     
     const method = new Method(visibility, name, args, result)
+    method.location = this.locationOf(decl)
     method.isStatic = this.hasModifier(modifiers, "Static")
     method.isAbstract = this.hasModifier(modifiers, "Abstract")
     method.customStereotypes = this.parseCustomStereotypes(modifiers)
@@ -126,6 +268,8 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
   }
   
   parseClassBody(body, object) {
+    const dependencies = new Map()
+    const methodBodies = []
     for (const node of body) {
       const kind = Object.keys(node.children)[0]
       const child = node.children[kind][0]
@@ -142,6 +286,10 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
             const methodDeclaration = child.children.methodDeclaration[0]
             const method = this.parseMethod(methodDeclaration)
             object.addMethod(method)
+            this.collectDependencies(method, methodDeclaration.children.methodBody[0], dependencies)
+            methodBodies.push([method, methodDeclaration.children.methodBody[0]])
+          } else {
+            this.parseNestedDeclaration(child, object)
           }
         break
         case "constructorDeclaration":
@@ -151,71 +299,343 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
           const name = decl.children.simpleTypeName[0].children.Identifier[0].image
           const args = this.parseArguments(decl.children.formalParameterList)
           const constr = new Constructor(visibility, name, args)
+          constr.location = this.locationOf(decl)
           constr.doc = this.parseDocComment(child)
           object.addConstructor(constr)
+          this.collectDependencies(constr, child.children.constructorBody[0], dependencies)
+          methodBodies.push([constr, child.children.constructorBody[0]])
         break
       }
       
     }
+    this.addDependencies(object, dependencies)
+    
+    // Attributes may be declared after the methods using them
+    methodBodies.forEach(([method, body]) => this.collectInvocations(method, body, object))
   }
   
-  extractDocComment(node) {
-    let cur = node.location.startOffset - 1
-    while (cur >= 0 && "\n\t\r ".includes(this.source.charAt(cur))) {
-      cur--
+  // Collects the names of the types used in the signature and body of the
+  // method: parameters, results, local variables, instantiated classes and
+  // classes whose static methods are called. Maps each name to the
+  // location of its first use.
+  collectDependencies(method, body, dependencies) {
+    if (!this.config.dependencies) {
+      return
+    }
+    const add = (name, location) => {
+      if (!dependencies.has(name)) {
+        dependencies.set(name, location)
+      }
     }
     
-    if (cur <= 2 || this.source.substr(cur - 1, 2) != "*/") {
-      return ""
+    const signature = [...method.args.map(arg => arg.type), ...(method.result ? [method.result] : [])]
+    signature.forEach(type => type.collectNames().forEach(name => add(name, method.location)))
+    
+    const visit = node => {
+      if (node.children == null) {
+        return
+      }
+      switch (node.name) {
+        case "localVariableType":
+          if (node.children.unannType) {
+            const type = this.parseType(node.children.unannType[0])
+            type.collectNames().forEach(name => add(name, this.locationOf(node)))
+          }
+        break
+        case "classOrInterfaceTypeToInstantiate":
+          add(node.children.Identifier[node.children.Identifier.length - 1].image, this.locationOf(node))
+        break
+        case "primary":
+          // Static method calls (Type.method()) are parsed like
+          // calls of methods of variables
+          const prefix = node.children.primaryPrefix[0].children.fqnOrRefType
+          const suffix = (node.children.primarySuffix || [])[0]
+          if (prefix && suffix && suffix.children.methodInvocationSuffix) {
+            const parts = [
+              ...prefix[0].children.fqnOrRefTypePartFirst,
+              ...(prefix[0].children.fqnOrRefTypePartRest || [])
+            ]
+            if (parts.length >= 2) {
+              const common = parts[parts.length - 2].children.fqnOrRefTypePartCommon[0]
+              if (common.children.Identifier) {
+                add(common.children.Identifier[0].image, this.locationOf(node))
+              }
+            }
+          }
+        break
+      }
+      for (const children of Object.values(node.children)) {
+        children.forEach(visit)
+      }
     }
-    const end = cur + 1
-    while (cur >= 0 && this.source.substr(cur, 2) != "/*") {
-      cur--
+    if (body != null) {
+      visit(body)
     }
-    return this.source.substring(cur, end)
   }
   
-  parseDocComment(node) {
-    const comment = this.extractDocComment(node)
-    const lines = comment.split("\n").map(line => line.trim())
-    if (lines[0] != "/**") {
-      return new DocComment("")
+  // Dependencies on objects which are not part of the diagram are
+  // removed by pruneDependencies after resolving them
+  addDependencies(object, dependencies) {
+    for (const [name, location] of dependencies) {
+      const relation = new DependencyRelation(object, this.createUnresolvedObject(name))
+      relation.location = location
+      this.diagram.addRelation(relation)
+    }
+  }
+  
+  // Records the methods called in the body of the method or constructor in
+  // the order of their appearance. The receiver of a call on a parameter,
+  // local variable or attribute is the name of its type. Calls whose
+  // receiver has no simple type name (e.g. the result of another call or a
+  // collection) are skipped, so only the first call of a chain such as
+  // helper().add(x) is recorded.
+  collectInvocations(method, body, object) {
+    if (!this.config.invocations || body == null) {
+      return
     }
     
-    const doc = new DocComment("")
+    const typeName = type => {
+      return type instanceof NamedType && !(type instanceof PrimitiveType) ? type.name : null
+    }
+    const attributes = new Map(object.attributes.map(attr => [attr.name, typeName(attr.type)]))
+    const variables = new Map(method.args.map(arg => [arg.name, typeName(arg.type)]))
     
-    const content = []
-    let isValid = true
-    for (let line of lines.slice(1)) {
-      if (line == "*/") { continue }
-      if (!line.startsWith("*")) {
-        isValid = false
-        break
+    // Bodies of anonymous classes and lambdas are not executed by the method
+    // itself, so their calls and variables are ignored
+    const isNestedBody = node => node.name == "classBody" || node.name == "lambdaBody"
+    
+    const walk = (node, callback) => {
+      if (node.children == null || isNestedBody(node)) {
+        return
+      }
+      callback(node)
+      for (const children of Object.values(node.children)) {
+        children.forEach(child => walk(child, callback))
+      }
+    }
+    
+    // Type instantiated by an initializer of the form new X(...) or null
+    const instantiatedType = initializer => {
+      let node = initializer
+      while (node != null && node.name != "unqualifiedClassInstanceCreationExpression") {
+        const children = Object.values(node.children || {})
+        node = children.length == 1 && children[0].length == 1 ? children[0][0] : null
+      }
+      if (node == null) {
+        return null
       }
-      line = line.substr(1).trim()
-      if (line.startsWith("@")) {
-        const [name, rest] = line.splitOne(" ")
-        switch(name) {
-          case "@param":
-          case "@throws":
-            const [param, description] = rest.splitOne(" ")
-            doc.addAttribute(name, [param], description)
-          break
-          case "@assoc":
-            doc.addAttribute(name, rest.split(" "), "")
-          break
-          default: doc.addAttribute(name, [], rest)
+      return node.children.classOrInterfaceTypeToInstantiate[0].children.Identifier.map(token => token.image).join(".")
+    }
+    
+    // Variables declared using var only have a known type if they are
+    // initialized with a new expression
+    const localTypeOf = (localVariableType, initializer) => {
+      const type = typeName(this.parseType(localVariableType.children.unannType[0]))
+      if (type != "var") {
+        return type
+      }
+      return initializer == null ? null : instantiatedType(initializer)
+    }
+    
+    const declare = (name, type) => {
+      if (!variables.has(name)) {
+        variables.set(name, type)
+      }
+    }
+    
+    // Local variables are not scoped, the first declaration of a name wins.
+    // Catch and lambda parameters have an unknown type, but are declared as
+    // well, so that calls on them are not mistaken for static calls.
+    walk(body, node => {
+      const children = node.children
+      if (children.localVariableType && children.localVariableType[0].children.unannType) {
+        const localVariableType = children.localVariableType[0]
+        if (node.name == "resourceInit") {
+          declare(children.Identifier[0].image, localTypeOf(localVariableType, children.expression[0]))
+        } else if (children.variableDeclaratorId) {
+          declare(children.variableDeclaratorId[0].children.Identifier[0].image, localTypeOf(localVariableType, null))
+        }
+        for (const list of children.variableDeclaratorList || []) {
+          for (const decl of list.children.variableDeclarator) {
+            const initializer = decl.children.variableInitializer
+            declare(
+              decl.children.variableDeclaratorId[0].children.Identifier[0].image,
+              localTypeOf(localVariableType, initializer == null ? null : initializer[0])
+            )
+          }
+        }
+      } else if (node.name == "catchFormalParameter") {
+        declare(children.variableDeclaratorId[0].children.Identifier[0].image, null)
+      } else if (node.name == "lambdaParameters") {
+        walk(node, param => {
+          (param.children.Identifier || []).forEach(token => declare(token.image, null))
+        })
+      }
+    })
+    
+    // Type of the object on which a method is called via the given path
+    // of names (e.g. ["this", "player"]) or null if it is unknown
+    const receiverOf = path => {
+      if (path.some(segment => segment.name == null || segment.call != null)) {
+        return null
+      }
+      const names = path.map(segment => segment.name)
+      if (names.length == 0 || (names.length == 1 && names[0] == "this")) {
+        return "this"
+      } else if (names.length == 1 && names[0] == "super") {
+        return "super"
+      } else if (names.length == 2 && names[0] == "this") {
+        return attributes.get(names[1]) || null
+      } else if (variables.has(names[0])) {
+        return names.length == 1 ? variables.get(names[0]) : null
+      } else if (attributes.has(names[0])) {
+        return names.length == 1 ? attributes.get(names[0]) : null
+      } else if (names.includes("this") || names.includes("super")) {
+        return null
+      }
+      // Static call using a simple or qualified type name
+      return names.join(".")
+    }
+    
+    const addInvocations = (node, fragments) => {
+      // Splits the expression into a chain of names, each of which may be called
+      const segments = []
+      const prefix = node.children.primaryPrefix[0].children
+      if (prefix.This) {
+        segments.push({name: "this", token: prefix.This[0]})
+      } else if (prefix.fqnOrRefType) {
+        const parts = [
+          ...prefix.fqnOrRefType[0].children.fqnOrRefTypePartFirst,
+          ...(prefix.fqnOrRefType[0].children.fqnOrRefTypePartRest || [])
+        ]
+        for (const part of parts) {
+          const common = part.children.fqnOrRefTypePartCommon[0].children
+          const token = common.Identifier ? common.Identifier[0] : common.Super[0]
+          segments.push({name: common.Identifier ? token.image : "super", token})
         }
       } else {
-        content.push(line)
+        segments.push({name: null})
+      }
+      for (const suffix of node.children.primarySuffix || []) {
+        if (suffix.children.methodInvocationSuffix) {
+          segments[segments.length - 1].call = suffix.children.methodInvocationSuffix[0]
+        } else if (suffix.children.Identifier) {
+          segments.push({name: suffix.children.Identifier[0].image, token: suffix.children.Identifier[0]})
+        } else {
+          segments.push({name: null})
+        }
       }
+      
+      // Explicit constructor invocations (this(...) and super(...)) are no method calls
+      segments.forEach((segment, index) => {
+        if (segment.call == null || segment.name == null || segment.name == "this" || segment.name == "super") {
+          return
+        }
+        const receiver = receiverOf(segments.slice(0, index))
+        if (receiver != null) {
+          const args = segment.call.children.argumentList
+          const argCount = args == null ? 0 : args[0].children.expression.length
+          const invocation = new Invocation(receiver, segment.name, argCount)
+          invocation.location = this.locationOfToken(segment.token)
+          invocation.fragments = fragments
+          method.invocations.push(invocation)
+        }
+      })
     }
     
-    if (isValid) {
-      doc.content = content.join("\n")
+    // Conditionals and loops enclosing a call are recorded as its fragments.
+    // All branches of an if-else chain share the same fragment id, each
+    // branch also records the conditions of the preceding branches.
+    let fragmentCount = 0
+    const conditionOf = node => {
+      const start = node.children.LBrace[0].endOffset + 1
+      return this.source.substring(start, node.children.RBrace[0].startOffset).trim().replace(/\s+/g, " ")
+    }
+    const visit = (node, fragments) => {
+      if (node.children == null || isNestedBody(node)) {
+        return
+      }
+      switch (node.name) {
+        case "primary":
+          addInvocations(node, fragments)
+        break
+        case "explicitConstructorInvocation":
+          // Only the arguments of this(...) and super(...) may contain calls
+          for (const invocation of Object.values(node.children).flat()) {
+            (invocation.children.argumentList || []).forEach(args => visit(args, fragments))
+          }
+        return
+        case "ifStatement":
+          const id = fragmentCount++
+          const previous = []
+          let current = node
+          while (current != null) {
+            const condition = conditionOf(current)
+            const branch = [...fragments, {
+              kind: "alt", id, branch: previous.length, condition, previous: [...previous]
+            }]
+            // Conditions of else if branches are only evaluated once the
+            // preceding conditions are false, so their calls are part of the branch
+            visit(current.children.expression[0], current == node ? fragments : branch)
+            visit(current.children.statement[0], branch)
+            previous.push(condition)
+            
+            const other = current.children.statement[1]
+            current = null
+            if (other != null && other.children.ifStatement) {
+              current = other.children.ifStatement[0]
+            } else if (other != null) {
+              visit(other, [...fragments, {
+                kind: "alt", id, branch: previous.length, condition: null, previous: [...previous]
+              }])
+            }
+          }
+        return
+        case "whileStatement":
+        case "doStatement":
+        case "basicForStatement":
+        case "enhancedForStatement":
+          const loop = {kind: "loop", id: fragmentCount++, branch: 0, condition: conditionOf(node)}
+          for (const [key, children] of Object.entries(node.children)) {
+            children.forEach(child => visit(child, key == "statement" ? [...fragments, loop] : fragments))
+          }
+        return
+      }
+      for (const children of Object.values(node.children)) {
+        children.forEach(child => visit(child, fragments))
+      }
+    }
+    visit(body, [])
+  }
+  
+  // Returns the doc comment preceding the node and its start offset
+  extractDocComment(node) {
+    let cur = node.location.startOffset - 1
+    while (cur >= 0 && "\n\t\r ".includes(this.source.charAt(cur))) {
+      cur--
+    }
+    
+    if (cur <= 2 || this.source.substr(cur - 1, 2) != "*/") {
+      return {comment: "", offset: null}
+    }
+    const end = cur + 1
+    while (cur >= 0 && this.source.substr(cur, 2) != "/*") {
+      cur--
+    }
+    return {comment: this.source.substring(cur, end), offset: cur}
+  }
+  
+  // Invalid doc comments are reported and ignored
+  parseDocComment(node) {
+    const {comment, offset} = this.extractDocComment(node)
+    const location = offset == null ? null : this.locationAt(offset)
+    try {
+      const doc = DocComment.parse(comment)
+      doc.location = doc.content == "" && doc.attrs.length == 0 ? null : location
       return doc
-    } else {
-      throw "Invalid doc comment"
+    } catch (error) {
+      this.diagram.diagnostics.push(new Diagnostic("warning", error, location))
+      return new DocComment("")
     }
   }
   
@@ -240,7 +660,7 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
       typeParameters[0].children
         .typeParameterList[0].children
         .typeParameter
-        .map(param => this.parseType(param))
+        .map(param => new SourceType(this.extractFromSource(param)))
         .forEach(type => object.addGeneric(type))
     }
   }
@@ -251,11 +671,17 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
   }
   
   importDeclaration(ctx) {
-    if (!ctx.Star) {
-      const idents = ctx.packageOrTypeName[0].children
-        .Identifier
-        .map(ident => ident.image)
-      
+    if (ctx.Static || !ctx.packageOrTypeName) {
+      return
+    }
+    
+    const idents = ctx.packageOrTypeName[0].children
+      .Identifier
+      .map(ident => ident.image)
+    
+    if (ctx.Star) {
+      this.wildcardImports.push(idents)
+    } else {
       const name = idents[idents.length - 1]
       const pkg = idents.slice(0, idents.length - 1)
       this.imports.set(name, pkg)
@@ -263,109 +689,285 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
   }
   
   classDeclaration(ctx) {
-    if (this.hasModifier(ctx.classModifier || [], "Public")) {
-      if (ctx.enumDeclaration) {
-        const decl = ctx.enumDeclaration[0].children
-        const name = decl.typeIdentifier[0].children.Identifier[0].image
-        
-        const object = new EnumObject(name)
-        
-        const constantList = decl.enumBody[0].children.enumConstantList
-        if (constantList) {
-          const constants = constantList[0].children.enumConstant
-          for (const constant of constants) {
-            const member = new Constant(constant.children.Identifier[0].image)
-            member.doc = this.parseDocComment(constant)
-            object.addConstant(member)
-          }
-        }
-        
-        const body = decl.enumBody[0].children.enumBodyDeclarations
-        if (body) {
-          this.parseClassBody(body[0].children.classBodyDeclaration || [], object)
-        }
-        
-        object.package = this.package
-        object.doc = this.parseDocComment((ctx.classModifier || ctx.enumDeclaration)[0])
-        this.diagram.addObject(object)
-        
-        return
-      }
-      
-      const decl = ctx.normalClassDeclaration[0].children
-      const name = decl.typeIdentifier[0].children.Identifier[0].image
-      const body = decl.classBody[0].children.classBodyDeclaration
-      
-      
-      const object = new ClassObject(name)
-      object.isAbstract = this.hasModifier(ctx.classModifier, "Abstract")
-      this.parseTypeParameters(object, decl.typeParameters)
-      
-      this.parseClassBody(body || [], object)
-      
-      object.package = this.package
-      object.doc = this.parseDocComment((ctx.classModifier || ctx.normalClassDeclaration)[0])
-      object.customStereotypes = this.parseCustomStereotypes(ctx.classModifier || [])
-      this.diagram.addObject(object)
-      
-      if (decl.superclass) {
-        const type = decl.superclass[0].children.classType[0]
-        const typeName = type.children.Identifier[0].image
-        this.diagram.addRelation(new InheritanceRelation(
+    this.parseClassDeclaration(ctx, null)
+  }
+  
+  interfaceDeclaration(ctx) {
+    this.parseInterfaceDeclaration(ctx, null)
+  }
+  
+  parseNestedDeclaration(node, outer) {
+    if (node.children.classDeclaration) {
+      this.parseClassDeclaration(node.children.classDeclaration[0].children, outer)
+    } else if (node.children.interfaceDeclaration) {
+      this.parseInterfaceDeclaration(node.children.interfaceDeclaration[0].children, outer)
+    }
+  }
+  
+  // Members of interfaces are implicitly public and nested objects of
+  // interfaces are implicitly static.
+  parseObjectModifiers(object, modifiers, outer) {
+    object.visibility = this.getVisibility(modifiers)
+    if (object.visibility == "~" && outer instanceof InterfaceObject) {
+      object.visibility = "+"
+    }
+    object.isStatic = outer != null && (
+      this.hasModifier(modifiers, "Static") || outer instanceof InterfaceObject
+    )
+    object.isSealed = this.hasModifier(modifiers, "Sealed")
+    object.isNonSealed = this.hasModifier(modifiers, "NonSealed")
+    object.customStereotypes = this.parseCustomStereotypes(modifiers)
+    return this.config.visibilities.has(object.visibility)
+  }
+  
+  // Duplicate declarations are reported and skipped together with their
+  // members and nested objects
+  addObject(object, outer, decl) {
+    object.package = this.package
+    object.location = this.locationOf(decl.typeIdentifier[0])
+    if (this.diagram.hasObject(object.qualifiedName)) {
+      this.diagram.diagnostics.push(duplicateDiagnostic(object))
+      return false
+    }
+    object.imports = this.imports
+    object.wildcardImports = this.wildcardImports
+    this.diagram.addObject(object)
+    if (outer != null) {
+      this.addRelation(new ContainmentRelation(object, outer), decl.typeIdentifier[0])
+    }
+    return true
+  }
+  
+  addRelation(relation, node) {
+    relation.location = this.locationOf(node)
+    this.diagram.addRelation(relation)
+  }
+  
+  qualifyName(name, outer) {
+    if (outer != null) {
+      return `${outer.name}.${name}`
+    }
+    return name
+  }
+  
+  parseSuperinterfaces(object, superinterfaces) {
+    if (superinterfaces) {
+      const types = superinterfaces[0].children.interfaceTypeList[0].children.interfaceType
+      for (const type of types) {
+        const typeName = this.parseTypeName(type.children.classType[0])
+        this.addRelation(new ImplementsRelation(
           object,
           this.createUnresolvedObject(typeName)
-        ))
+        ), type)
       }
-      
-      if (decl.superinterfaces) {
-        const types = decl.superinterfaces[0].children.interfaceTypeList[0].children.interfaceType
-        for (const type of types) {
-          const typeName = type.children.classType[0].children.Identifier[0].image
-          this.diagram.addRelation(new ImplementsRelation(
-            object,
-            this.createUnresolvedObject(typeName)
-          ))
-        }
+    }
+  }
+  
+  parseClassDeclaration(ctx, outer) {
+    if (ctx.enumDeclaration) {
+      this.parseEnumDeclaration(ctx, outer)
+    } else if (ctx.recordDeclaration) {
+      this.parseRecordDeclaration(ctx, outer)
+    } else {
+      this.parseNormalClassDeclaration(ctx, outer)
+    }
+  }
+  
+  parseEnumDeclaration(ctx, outer) {
+    const decl = ctx.enumDeclaration[0].children
+    const name = decl.typeIdentifier[0].children.Identifier[0].image
+    
+    const object = new EnumObject(this.qualifyName(name, outer))
+    if (!this.parseObjectModifiers(object, ctx.classModifier || [], outer)) {
+      return
+    }
+    
+    const constantList = decl.enumBody[0].children.enumConstantList
+    if (constantList) {
+      const constants = constantList[0].children.enumConstant
+      for (const constant of constants) {
+        const member = new Constant(constant.children.Identifier[0].image)
+        member.location = this.locationOf(constant)
+        member.doc = this.parseDocComment(constant)
+        object.addConstant(member)
       }
     }
+    
+    object.doc = this.parseDocComment((ctx.classModifier || ctx.enumDeclaration)[0])
+    if (!this.addObject(object, outer, decl)) {
+      return
+    }
+    
+    const body = decl.enumBody[0].children.enumBodyDeclarations
+    if (body) {
+      this.parseClassBody(body[0].children.classBodyDeclaration || [], object)
+    }
   }
   
-  interfaceDeclaration(ctx) {
-    if (this.hasModifier(ctx.interfaceModifier || [], "Public")) {
-      const decl = ctx.normalInterfaceDeclaration[0].children
-      const name = decl.typeIdentifier[0].children.Identifier[0].image
-      
-      const object = new InterfaceObject(name)
-      this.parseTypeParameters(object, decl.typeParameters)
-      
-      for (const node of decl.interfaceBody[0].children.interfaceMemberDeclaration || []) {
-        const kind = Object.keys(node.children)[0]
-        const child = node.children[kind][0]
-        
-        switch (kind) {
-          case "interfaceMethodDeclaration":
-            const method = this.parseMethod(child)
-            if (method.visibility == "~") {
-              method.visibility = "+"
-            }
-            object.addMethod(method)
-          break
-        }
+  parseRecordDeclaration(ctx, outer) {
+    const decl = ctx.recordDeclaration[0].children
+    const name = decl.typeIdentifier[0].children.Identifier[0].image
+    
+    const object = new RecordObject(this.qualifyName(name, outer))
+    if (!this.parseObjectModifiers(object, ctx.classModifier || [], outer)) {
+      return
+    }
+    this.parseTypeParameters(object, decl.typeParameters)
+    
+    const componentList = decl.recordHeader[0].children.recordComponentList
+    if (componentList) {
+      for (const component of componentList[0].children.recordComponent) {
+        const name = component.children.Identifier[0].image
+        const type = this.parseType(component.children.unannType[0])
+        const attr = new Attribute("-", name, type)
+        attr.location = this.locationOf(component)
+        object.addAttribute(attr)
       }
+    }
+    
+    object.doc = this.parseDocComment((ctx.classModifier || ctx.recordDeclaration)[0])
+    if (!this.addObject(object, outer, decl)) {
+      return
+    }
+    
+    const body = (decl.recordBody[0].children.recordBodyDeclaration || [])
+      .filter(node => node.children.classBodyDeclaration)
+      .map(node => node.children.classBodyDeclaration[0])
+    this.parseClassBody(body, object)
+    
+    this.parseSuperinterfaces(object, decl.superinterfaces)
+  }
+  
+  parseNormalClassDeclaration(ctx, outer) {
+    const decl = ctx.normalClassDeclaration[0].children
+    const name = decl.typeIdentifier[0].children.Identifier[0].image
+    const body = decl.classBody[0].children.classBodyDeclaration
+    
+    const object = new ClassObject(this.qualifyName(name, outer))
+    if (!this.parseObjectModifiers(object, ctx.classModifier || [], outer)) {
+      return
+    }
+    object.isAbstract = this.hasModifier(ctx.classModifier || [], "Abstract")
+    this.parseTypeParameters(object, decl.typeParameters)
+    
+    object.doc = this.parseDocComment((ctx.classModifier || ctx.normalClassDeclaration)[0])
+    if (!this.addObject(object, outer, decl)) {
+      return
+    }
+    
+    this.parseClassBody(body || [], object)
+    
+    if (decl.superclass) {
+      const type = decl.superclass[0].children.classType[0]
+      const typeName = this.parseTypeName(type)
+      this.addRelation(new InheritanceRelation(
+        object,
+        this.createUnresolvedObject(typeName)
+      ), type)
+    }
+    
+    this.parseSuperinterfaces(object, decl.superinterfaces)
+    this.parsePermits(object, decl.classPermits)
+  }
+  
+  parseInterfaceDeclaration(ctx, outer) {
+    if (ctx.annotationTypeDeclaration) {
+      this.parseAnnotationTypeDeclaration(ctx, outer)
+      return
+    }
+    
+    const decl = ctx.normalInterfaceDeclaration[0].children
+    const name = decl.typeIdentifier[0].children.Identifier[0].image
+    
+    const object = new InterfaceObject(this.qualifyName(name, outer))
+    if (!this.parseObjectModifiers(object, ctx.interfaceModifier || [], outer)) {
+      return
+    }
+    this.parseTypeParameters(object, decl.typeParameters)
+    
+    object.doc = this.parseDocComment((ctx.interfaceModifier || ctx.normalInterfaceDeclaration)[0])
+    if (!this.addObject(object, outer, decl)) {
+      return
+    }
+    
+    const dependencies = new Map()
+    const methodBodies = []
+    for (const node of decl.interfaceBody[0].children.interfaceMemberDeclaration || []) {
+      const kind = Object.keys(node.children)[0]
+      const child = node.children[kind][0]
       
-      object.package = this.package
-      object.doc = this.parseDocComment((ctx.interfaceModifier || ctx.interfaceBody)[0])
-      this.diagram.addObject(object)
+      switch (kind) {
+        case "constantDeclaration":
+          this.parseAttributes(child).forEach(attr => {
+            attr.visibility = "+"
+            attr.isStatic = true
+            attr.doc = this.parseDocComment(child)
+            object.addAttribute(attr)
+          })
+        break
+        case "interfaceMethodDeclaration":
+          const method = this.parseMethod(child)
+          if (method.visibility == "~") {
+            method.visibility = "+"
+          }
+          object.addMethod(method)
+          this.collectDependencies(method, child.children.methodBody[0], dependencies)
+          methodBodies.push([method, child.children.methodBody[0]])
+        break
+        case "classDeclaration":
+        case "interfaceDeclaration":
+          this.parseNestedDeclaration(node, object)
+        break
+      }
+    }
+    
+    if (decl.extendsInterfaces) {
+      const base = decl.extendsInterfaces[0].children.interfaceTypeList[0].children.interfaceType
+      base.forEach(type => {
+        const name = this.parseTypeName(type.children.classType[0])
+        this.addRelation(new InheritanceRelation(
+          object,
+          this.createUnresolvedObject(name)
+        ), type)
+      })
+    }
+    
+    this.parsePermits(object, decl.interfacePermits)
+    this.addDependencies(object, dependencies)
+    methodBodies.forEach(([method, body]) => this.collectInvocations(method, body, object))
+  }
+  
+  parseAnnotationTypeDeclaration(ctx, outer) {
+    const decl = ctx.annotationTypeDeclaration[0].children
+    const name = decl.typeIdentifier[0].children.Identifier[0].image
+    
+    const object = new AnnotationObject(this.qualifyName(name, outer))
+    if (!this.parseObjectModifiers(object, ctx.interfaceModifier || [], outer)) {
+      return
+    }
+    
+    object.doc = this.parseDocComment((ctx.interfaceModifier || ctx.annotationTypeDeclaration)[0])
+    if (!this.addObject(object, outer, decl)) {
+      return
+    }
+    
+    for (const node of decl.annotationTypeBody[0].children.annotationTypeMemberDeclaration || []) {
+      const kind = Object.keys(node.children)[0]
+      const child = node.children[kind][0]
       
-      if (decl.extendsInterfaces) {
-        const base = decl.extendsInterfaces[0].children.interfaceTypeList[0].children.interfaceType
-        base.forEach(type => {
-          const name = type.children.classType[0].children.Identifier[0].image
-          this.diagram.addRelation(new InheritanceRelation(
-            object,
-            this.createUnresolvedObject(name)
-          ))
-        })
+      switch (kind) {
+        case "annotationTypeElementDeclaration":
+          const name = child.children.Identifier[0].image
+          const type = this.parseType(child.children.unannType[0])
+          const element = new Method("+", name, [], type)
+          element.location = this.locationOf(child)
+          element.doc = this.parseDocComment(child)
+          object.addMethod(element)
+        break
+        case "classDeclaration":
+        case "interfaceDeclaration":
+          this.parseNestedDeclaration(node, object)
+        break
       }
     }
   }
@@ -373,29 +975,177 @@ class Visitor extends BaseJavaCstVisitorWithDefaults {
 
 const DEFAULT_CONFIG = {
   associations: true,
-  customStereotypes: new Map()
+  customStereotypes: new Map(),
+  visibilities: new Set(["+", "#", "~", "-"]),
+  sourceTypes: false,
+  dependencies: false,
+  suppressCoveredDependencies: true,
+  invocations: false,
+  cache: null,
+  workers: null
+}
+
+// Only options which influence the parsed objects invalidate the cache
+function parserConfigHash(config) {
+  const {associations, suppressCoveredDependencies, cache, workers, ...parserConfig} = config
+  return hashConfig(parserConfig)
+}
+
+// Files with syntax errors are reported and skipped
+function parseJavaSource(code, diagram, config, filePath) {
+  let cst = null
+  try {
+    cst = parse(code)
+  } catch (error) {
+    const message = error instanceof Error ? error.message : error.toString()
+    const position = message.match(/line: ([0-9]+), column: ([0-9]+)/)
+    const found = message.match(/but found: '(.*)'!/)
+    diagram.diagnostics.push(new Diagnostic(
+      "error",
+      found == null ? "Syntax error" : `Syntax error, unexpected '${found[1]}'`,
+      {
+        file: filePath,
+        line: position == null ? null : Number(position[1]),
+        column: position == null ? null : Number(position[2])
+      }
+    ))
+    return
+  }
+  new Visitor(code, diagram, config, filePath).visit(cst)
+}
+
+function duplicateDiagnostic(object) {
+  return new Diagnostic("error", `Duplicate declaration of ${object.qualifiedName}`, object.location)
+}
+
+// Adds the objects and relations of a single file to the diagram.
+// Objects which are already declared in another file are reported and
+// skipped together with their nested objects and relations, just like
+// duplicates within a single file.
+function fuseFileDiagram(diagram, fileDiagram) {
+  const skipped = new Set()
+  const skippedNames = []
+  for (const [name, object] of fileDiagram.objects) {
+    if (skippedNames.some(outer => name.startsWith(outer + "."))) {
+      skipped.add(object)
+    } else if (diagram.hasObject(name)) {
+      diagram.diagnostics.push(duplicateDiagnostic(object))
+      skipped.add(object)
+      skippedNames.push(name)
+    } else {
+      diagram.addObject(object)
+    }
+  }
+  
+  for (const relation of fileDiagram.relations) {
+    if (!skipped.has(relation.a) && !skipped.has(relation.b)) {
+      diagram.addRelation(relation)
+    }
+  }
+  diagram.diagnostics = [...diagram.diagnostics, ...fileDiagram.diagnostics]
+}
+
+export function parseJavaFile(code, config, filePath=null) {
+  const diagram = new Diagram()
+  parseJavaSource(code, diagram, config, filePath)
+  return diagram
 }
 
 Diagram.fromJavaProject = function(basePath, partialConfig) {
   const config = Object.assign({...DEFAULT_CONFIG}, partialConfig || {})
   
   const diagram = new Diagram()
+  if (config.cache == null) {
+    walkTree(basePath, filePath => {
+      if (path.parse(filePath).ext == ".java") {
+        const code = readFileSync(filePath).toString()
+        fuseFileDiagram(diagram, parseJavaFile(code, config, filePath))
+      }
+    })
+  } else {
+    const cache = ParseCache.load(config.cache, parserConfigHash(config))
+    walkTree(basePath, filePath => {
+      if (path.parse(filePath).ext == ".java") {
+        const code = readFileSync(filePath).toString()
+        const hash = hashContent(code)
+        let fileDiagram = cache.get(filePath, hash)
+        if (fileDiagram == null) {
+          fileDiagram = parseJavaFile(code, config, filePath)
+          cache.set(filePath, hash, fileDiagram)
+        }
+        fuseFileDiagram(diagram, fileDiagram)
+      }
+    })
+    cache.save()
+  }
+  
+  resolveObjects(diagram)
+  
+  if (config.associations) {
+    inferAssociations(diagram)
+  }
+  if (config.dependencies) {
+    pruneDependencies(diagram, {suppressCovered: config.suppressCoveredDependencies})
+  }
+  
+  return diagram
+}
+
+// Parses the files of the project using a pool of worker threads.
+// The per file results are fused in the order in which walkTree visits
+// the files, so the diagram is identical to the one of fromJavaProject.
+Diagram.fromJavaProjectAsync = async function(basePath, partialConfig) {
+  const config = Object.assign({...DEFAULT_CONFIG}, partialConfig || {})
+  
+  const filePaths = []
   walkTree(basePath, filePath => {
     if (path.parse(filePath).ext == ".java") {
-      const code = readFileSync(filePath).toString()
-      const tree = parse(code)
-      const visitor = new Visitor(code, diagram, config)
-      visitor.visit(tree)
+      filePaths.push(filePath)
     }
   })
   
+  const cache = config.cache == null ? null : ParseCache.load(config.cache, parserConfigHash(config))
+  const workerCount = Math.min(config.workers || defaultWorkerCount(), filePaths.length)
+  const pool = new WorkerPool(new URL("./java_worker.mjs", import.meta.url), {
+    config: {...config, cache: null}
+  }, workerCount)
+  
+  let fileDiagrams = null
+  try {
+    fileDiagrams = await Promise.all(filePaths.map(async filePath => {
+      const code = readFileSync(filePath).toString()
+      const hash = hashContent(code)
+      if (cache != null) {
+        const cached = cache.get(filePath, hash)
+        if (cached != null) {
+          return cached
+        }
+      }
+      
+      const fileDiagram = Diagram.fromJSON(await pool.run({code, filePath}))
+      if (cache != null) {
+        cache.set(filePath, hash, fileDiagram)
+      }
+      return fileDiagram
+    }))
+  } finally {
+    await pool.close()
+  }
+  
+  const diagram = new Diagram()
+  fileDiagrams.forEach(fileDiagram => fuseFileDiagram(diagram, fileDiagram))
+  if (cache != null) {
+    cache.save()
+  }
+  
   resolveObjects(diagram)
   
   if (config.associations) {
     inferAssociations(diagram)
   }
+  if (config.dependencies) {
+    pruneDependencies(diagram, {suppressCovered: config.suppressCoveredDependencies})
+  }
   
   return diagram
 }
-
-
@@ -0,0 +1,417 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import path from "path"
+import {readFileSync} from "fs"
+import ts from "typescript"
+import {walkTree} from "./../utils.mjs"
+import {resolveObjects, inferAssociations} from "./../passes.mjs"
+import {
+  Diagram,
+  ClassObject, EnumObject, InterfaceObject, UnresolvedObject,
+  Attribute, Method, Constructor, Argument, Constant,
+  InheritanceRelation, ImplementsRelation,
+  DocComment, Diagnostic
+} from "./../model.mjs"
+import {
+  NamedType, VoidType, ListType, SetType, OptionalType, PrimitiveType, SourceType
+} from "./../types.mjs"
+
+class TypeScriptVisitor {
+  constructor(sourceFile, filePath, diagram, config) {
+    this.sourceFile = sourceFile
+    this.filePath = filePath
+    this.diagram = diagram
+    this.config = config
+    this.package = []
+    this.imports = new Map()
+  }
+  
+  createUnresolvedObject(name) {
+    const object = new UnresolvedObject(name)
+    if (this.imports.has(name)) {
+      object.package = [...this.imports.get(name)]
+    }
+    return object
+  }
+  
+  locationOf(node) {
+    return this.locationAt(node.getStart(this.sourceFile))
+  }
+  
+  locationAt(pos) {
+    const {line, character} = this.sourceFile.getLineAndCharacterOfPosition(pos)
+    return {file: this.filePath, line: line + 1, column: character + 1}
+  }
+  
+  extractFromSource(node) {
+    return node.getText(this.sourceFile)
+  }
+  
+  hasModifier(node, kind) {
+    return (ts.getModifiers(node) || []).some(mod => mod.kind == kind)
+  }
+  
+  getVisibility(node) {
+    if (node.name && ts.isPrivateIdentifier(node.name)) {
+      return "-"
+    } else if (this.hasModifier(node, ts.SyntaxKind.PrivateKeyword)) {
+      return "-"
+    } else if (this.hasModifier(node, ts.SyntaxKind.ProtectedKeyword)) {
+      return "#"
+    }
+    return "+"
+  }
+  
+  getName(node) {
+    return node.name.getText(this.sourceFile)
+  }
+  
+  parseType(node, isOptional=false) {
+    if (!node) {
+      return new SourceType("any")
+    }
+    if (this.config.sourceTypes) {
+      const type = new SourceType(this.extractFromSource(node))
+      return isOptional ? new OptionalType(type) : type
+    }
+    
+    let type = null
+    switch (node.kind) {
+      case ts.SyntaxKind.NumberKeyword: type = new PrimitiveType(this.config.numberType); break
+      case ts.SyntaxKind.StringKeyword: type = new PrimitiveType("string"); break
+      case ts.SyntaxKind.BooleanKeyword: type = new PrimitiveType("boolean"); break
+      case ts.SyntaxKind.VoidKeyword: return new VoidType()
+      case ts.SyntaxKind.ParenthesizedType: return this.parseType(node.type, isOptional)
+      case ts.SyntaxKind.ArrayType: type = new ListType(this.parseType(node.elementType)); break
+      case ts.SyntaxKind.UnionType:
+        const NULLISH = [ts.SyntaxKind.UndefinedKeyword, ts.SyntaxKind.NullKeyword]
+        const isNullish = member => NULLISH.includes(member.kind) ||
+          (ts.isLiteralTypeNode(member) && member.literal.kind == ts.SyntaxKind.NullKeyword)
+        const members = node.types.filter(member => !isNullish(member))
+        if (members.length == 1) {
+          return this.parseType(members[0], isOptional || members.length < node.types.length)
+        }
+        type = new SourceType(this.extractFromSource(node))
+      break
+      case ts.SyntaxKind.TypeReference:
+        const name = node.typeName.getText(this.sourceFile)
+        const args = node.typeArguments || []
+        if ((name == "Array" || name == "ReadonlyArray") && args.length == 1) {
+          type = new ListType(this.parseType(args[0]))
+        } else if ((name == "Set" || name == "ReadonlySet") && args.length == 1) {
+          type = new SetType(this.parseType(args[0]))
+        } else if (args.length == 0) {
+          type = new NamedType(name)
+        } else {
+          type = new SourceType(this.extractFromSource(node))
+        }
+      break
+      default:
+        type = new SourceType(this.extractFromSource(node))
+    }
+    
+    if (isOptional) {
+      type = new OptionalType(type)
+    }
+    return type
+  }
+  
+  parseDocComment(node) {
+    const ranges = ts.getLeadingCommentRanges(this.sourceFile.text, node.pos) || []
+    if (ranges.length == 0) {
+      return new DocComment("")
+    }
+    const range = ranges[ranges.length - 1]
+    const location = this.locationAt(range.pos)
+    try {
+      const doc = DocComment.parse(this.sourceFile.text.substring(range.pos, range.end))
+      doc.location = doc.content == "" && doc.attrs.length == 0 ? null : location
+      return doc
+    } catch (error) {
+      this.diagram.diagnostics.push(new Diagnostic("warning", error, location))
+      return new DocComment("")
+    }
+  }
+  
+  parseCustomStereotypes(node) {
+    return (ts.getDecorators(node) || [])
+      .map(decorator => {
+        let expr = decorator.expression
+        if (ts.isCallExpression(expr)) {
+          expr = expr.expression
+        }
+        const name = expr.getText(this.sourceFile)
+        if (this.config.customStereotypes.has(name)) {
+          return this.config.customStereotypes.get(name)
+        }
+        return null
+      })
+      .filter(stereotype => stereotype != null)
+  }
+  
+  parseTypeParameters(object, typeParameters) {
+    for (const param of typeParameters || []) {
+      object.addGeneric(new SourceType(this.extractFromSource(param)))
+    }
+  }
+  
+  parseArguments(parameters) {
+    return parameters.map(param => new Argument(
+      param.name.getText(this.sourceFile),
+      this.parseType(param.type, param.questionToken != null)
+    ))
+  }
+  
+  parseAttribute(node) {
+    const type = this.parseType(node.type, node.questionToken != null)
+    const attr = new Attribute(this.getVisibility(node), this.getName(node), type)
+    attr.location = this.locationOf(node.name)
+    attr.isStatic = this.hasModifier(node, ts.SyntaxKind.StaticKeyword)
+    attr.customStereotypes = this.parseCustomStereotypes(node)
+    attr.doc = this.parseDocComment(node)
+    return attr
+  }
+  
+  parseMethod(node, name=this.getName(node), location=this.locationOf(node.name)) {
+    let result = new VoidType()
+    if (node.type) {
+      result = this.parseType(node.type)
+    }
+    
+    const args = this.parseArguments(node.parameters)
+    const method = new Method(this.getVisibility(node), name, args, result)
+    method.location = location
+    method.isStatic = this.hasModifier(node, ts.SyntaxKind.StaticKeyword)
+    method.isAbstract = this.hasModifier(node, ts.SyntaxKind.AbstractKeyword)
+    method.customStereotypes = this.parseCustomStereotypes(node)
+    method.doc = this.parseDocComment(node)
+    return method
+  }
+  
+  parseHeritage(object, node) {
+    for (const clause of node.heritageClauses || []) {
+      for (const type of clause.types) {
+        const name = type.expression.getText(this.sourceFile)
+        let relation = null
+        if (clause.token == ts.SyntaxKind.ExtendsKeyword) {
+          relation = new InheritanceRelation(object, this.createUnresolvedObject(name))
+        } else {
+          relation = new ImplementsRelation(object, this.createUnresolvedObject(name))
+        }
+        relation.location = this.locationOf(type)
+        this.diagram.addRelation(relation)
+      }
+    }
+  }
+  
+  // Nodes
+  importDeclaration(node) {
+    const specifier = node.moduleSpecifier.text
+    if (!specifier.startsWith(".") || !node.importClause) {
+      return
+    }
+    
+    const modulePath = path.resolve(path.dirname(this.filePath), specifier)
+    const pkg = [
+      ...this.config.basePackage,
+      ...path.relative(this.config.basePath, path.dirname(modulePath))
+        .split(path.sep)
+        .filter(name => name != "")
+    ]
+    
+    const bindings = node.importClause.namedBindings
+    if (bindings && ts.isNamedImports(bindings)) {
+      for (const element of bindings.elements) {
+        this.imports.set(element.name.text, pkg)
+      }
+    }
+    if (node.importClause.name) {
+      this.imports.set(node.importClause.name.text, pkg)
+    }
+  }
+  
+  classDeclaration(node) {
+    if (!node.name) {
+      return
+    }
+    
+    const object = new ClassObject(node.name.text)
+    object.isAbstract = this.hasModifier(node, ts.SyntaxKind.AbstractKeyword)
+    this.parseTypeParameters(object, node.typeParameters)
+    
+    for (const member of node.members) {
+      switch (member.kind) {
+        case ts.SyntaxKind.PropertyDeclaration:
+          object.addAttribute(this.parseAttribute(member))
+        break
+        case ts.SyntaxKind.MethodDeclaration:
+          object.addMethod(this.parseMethod(member))
+        break
+        case ts.SyntaxKind.Constructor:
+          const constr = new Constructor(
+            this.getVisibility(member),
+            object.name,
+            this.parseArguments(member.parameters)
+          )
+          constr.location = this.locationOf(member)
+          constr.doc = this.parseDocComment(member)
+          object.addConstructor(constr)
+          
+          // Parameter properties (constructor(private x: number))
+          for (const param of member.parameters) {
+            if (ts.isParameterPropertyDeclaration(param, member)) {
+              object.addAttribute(this.parseAttribute(param))
+            }
+          }
+        break
+      }
+    }
+    
+    object.package = [...this.package]
+    object.imports = this.imports
+    object.doc = this.parseDocComment(node)
+    object.customStereotypes = this.parseCustomStereotypes(node)
+    object.location = this.locationOf(node.name)
+    this.diagram.addObject(object)
+    
+    this.parseHeritage(object, node)
+  }
+  
+  parseInterfaceMembers(object, members) {
+    for (const member of members) {
+      switch (member.kind) {
+        case ts.SyntaxKind.PropertySignature:
+          if (member.type && ts.isFunctionTypeNode(member.type)) {
+            const method = this.parseMethod(member.type, this.getName(member), this.locationOf(member.name))
+            method.doc = this.parseDocComment(member)
+            object.addMethod(method)
+          } else {
+            object.addAttribute(this.parseAttribute(member))
+          }
+        break
+        case ts.SyntaxKind.MethodSignature:
+          object.addMethod(this.parseMethod(member))
+        break
+      }
+    }
+  }
+  
+  interfaceDeclaration(node) {
+    const object = new InterfaceObject(node.name.text)
+    this.parseTypeParameters(object, node.typeParameters)
+    this.parseInterfaceMembers(object, node.members)
+    
+    object.package = [...this.package]
+    object.imports = this.imports
+    object.doc = this.parseDocComment(node)
+    object.location = this.locationOf(node.name)
+    this.diagram.addObject(object)
+    
+    this.parseHeritage(object, node)
+  }
+  
+  enumDeclaration(node) {
+    const object = new EnumObject(node.name.text)
+    for (const member of node.members) {
+      const constant = new Constant(this.getName(member))
+      constant.location = this.locationOf(member.name)
+      constant.doc = this.parseDocComment(member)
+      object.addConstant(constant)
+    }
+    
+    object.package = [...this.package]
+    object.imports = this.imports
+    object.doc = this.parseDocComment(node)
+    object.location = this.locationOf(node.name)
+    this.diagram.addObject(object)
+  }
+  
+  typeAliasDeclaration(node) {
+    let object = null
+    if (ts.isTypeLiteralNode(node.type)) {
+      object = new InterfaceObject(node.name.text)
+      this.parseInterfaceMembers(object, node.type.members)
+    } else if (ts.isUnionTypeNode(node.type) &&
+               node.type.types.every(type => ts.isLiteralTypeNode(type) &&
+                                             ts.isStringLiteral(type.literal))) {
+      object = new EnumObject(node.name.text)
+      for (const type of node.type.types) {
+        const constant = new Constant(type.literal.text)
+        constant.location = this.locationOf(type)
+        object.addConstant(constant)
+      }
+    } else {
+      return
+    }
+    
+    this.parseTypeParameters(object, node.typeParameters)
+    object.package = [...this.package]
+    object.imports = this.imports
+    object.doc = this.parseDocComment(node)
+    object.location = this.locationOf(node.name)
+    this.diagram.addObject(object)
+  }
+  
+  visit(sourceFile) {
+    for (const statement of sourceFile.statements) {
+      switch (statement.kind) {
+        case ts.SyntaxKind.ImportDeclaration: this.importDeclaration(statement); break
+        case ts.SyntaxKind.ClassDeclaration: this.classDeclaration(statement); break
+        case ts.SyntaxKind.InterfaceDeclaration: this.interfaceDeclaration(statement); break
+        case ts.SyntaxKind.EnumDeclaration: this.enumDeclaration(statement); break
+        case ts.SyntaxKind.TypeAliasDeclaration: this.typeAliasDeclaration(statement); break
+      }
+    }
+  }
+}
+
+const DEFAULT_CONFIG = {
+  associations: true,
+  basePackage: [],
+  numberType: "double",
+  sourceTypes: false,
+  customStereotypes: new Map()
+}
+
+Diagram.fromTypeScriptProject = function(basePath, partialConfig) {
+  const config = Object.assign({...DEFAULT_CONFIG, basePath}, partialConfig || {})
+  
+  const diagram = new Diagram()
+  walkTree(basePath, filePath => {
+    const {ext, dir, base} = path.parse(filePath)
+    if ((ext == ".ts" || ext == ".tsx") && !base.endsWith(".d.ts")) {
+      const code = readFileSync(filePath).toString()
+      const kind = ext == ".tsx" ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+      const sourceFile = ts.createSourceFile(filePath, code, ts.ScriptTarget.Latest, true, kind)
+      
+      const visitor = new TypeScriptVisitor(sourceFile, filePath, diagram, config)
+      visitor.package = [
+        ...config.basePackage,
+        ...path.relative(basePath, dir).split(path.sep).filter(name => name != "")
+      ]
+      visitor.visit(sourceFile)
+    }
+  }, dirPath => path.basename(dirPath) != "node_modules")
+  
+  resolveObjects(diagram)
+  
+  if (config.associations) {
+    inferAssociations(diagram)
+  }
+  
+  return diagram
+}
@@ -18,8 +18,12 @@ import {
   Diagram,
   ClassObject, EnumObject, InterfaceObject, UnresolvedObject, PackageObject,
   Attribute, Method, Constructor, Argument,
-  InheritanceRelation, ImplementsRelation, AssociativeRelation
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  AggregatedRelation, DependencyRelation
 } from "./model.mjs"
+import {
+  NamedType, GenericType, CollectionType, OptionalType, MapType
+} from "./types.mjs"
 
 export function buildPackageTree(diagram) {
   let commonPrefix = null
@@ -44,24 +48,26 @@ export function buildPackageTree(diagram) {
   return root
 }
 
+// Objects which cannot be resolved stay unresolved, they are reported by validate
 export function resolveObjects(diagram) {
   for (const relation of diagram.relations) {
     relation.resolve(object => {
-      if (!diagram.hasObject(object.name)) {
-        console.warn(`Unable to resolve object ${object.name}`)
-        return object
-      }
-      return diagram.getObject(object.name)
+      return diagram.getObject(object.qualifiedName) ||
+             diagram.lookup(object.name, relation.a) ||
+             object
     })
   }
 }
 
+export const MULTIPLICITY = /^(\*|[0-9]+)(\.\.(\*|[0-9]+))?$/
+
+// Returns null if the target of the association does not exist
 function parseAssociation(object, diagram, attr) {
-  const MULTIPLICITY = /^(\*|[0-9]+)(\.\.(\*|[0-9]+))?$/
-  const relation = new AssociativeRelation(
-    object,
-    diagram.getObject(attr.params[attr.params.length - 1])
-  )
+  const target = diagram.lookup(attr.params[attr.params.length - 1], object)
+  if (target == null) {
+    return null
+  }
+  const relation = new AssociativeRelation(object, target)
   let isStart = true
   for (let it = 0; it < attr.params.length - 1; it++) {
     const param = attr.params[it]
@@ -95,18 +101,71 @@ function parseAssociation(object, diagram, attr) {
   return relation
 }
 
+// Multiplicity of the objects referenced by an attribute of the given type
+function inferMultiplicity(type) {
+  if (type instanceof OptionalType) {
+    const multiplicity = inferMultiplicity(type.item)
+    return multiplicity == "1" ? "0..1" : multiplicity
+  } else if (type instanceof CollectionType || type instanceof MapType) {
+    return "0..*"
+  } else if (type instanceof NamedType && !(type instanceof GenericType)) {
+    return "1"
+  }
+  return ""
+}
+
+// Merges pairs of inferred associations which point at each other
+// (A.b and B.a) into a single bidirectional association.
+function mergeBidirectional(relations) {
+  const key = (a, b) => `${a.qualifiedName} ${b.qualifiedName}`
+  const groups = new Map()
+  for (const relation of relations) {
+    const group = key(relation.a, relation.b)
+    if (!groups.has(group)) {
+      groups.set(group, [])
+    }
+    groups.get(group).push(relation)
+  }
+  
+  const merged = new Set()
+  const result = []
+  for (const relation of relations) {
+    if (merged.has(relation)) {
+      continue
+    }
+    
+    const forward = groups.get(key(relation.a, relation.b))
+    const backward = groups.get(key(relation.b, relation.a)) || []
+    if (relation.a != relation.b && forward.length == 1 && backward.length == 1) {
+      const other = backward[0]
+      relation.roleA = other.roleB
+      relation.multiplicityA = other.multiplicityB
+      relation.headA = ""
+      relation.headB = ""
+      merged.add(other)
+    }
+    result.push(relation)
+  }
+  return result
+}
+
 const DEFAULT_INFER_ASSOCIATIONS_CONFIG = {
   merge: false,
-  maxRoles: -1
+  maxRoles: -1,
+  multiplicities: true,
+  bidirectional: true
 }
 
 export function inferAssociations(diagram, partialConfig) {
   const config = Object.assign({...DEFAULT_INFER_ASSOCIATIONS_CONFIG}, partialConfig || {})
   
+  let relations = []
   for (const [name, object] of diagram.objects.entries()) {
     const attr = object.doc.findAttribute("@assoc")
-    if (attr) {
-      diagram.addRelation(parseAssociation(object, diagram, attr))
+    const relation = attr ? parseAssociation(object, diagram, attr) : null
+    if (relation != null) {
+      relation.location = object.doc.location || object.location
+      diagram.addRelation(relation)
     }
     
     if (object.doc.findAttribute("@noassoc") != null) {
@@ -118,16 +177,21 @@ export function inferAssociations(diagram, partialConfig) {
       for (const attribute of object.attributes) {
         const attr = attribute.doc.findAttribute("@assoc")
         if (attr) {
-          diagram.addRelation(parseAssociation(object, diagram, attr))
+          const relation = parseAssociation(object, diagram, attr)
+          if (relation != null) {
+            relation.location = attribute.doc.location || attribute.location
+            diagram.addRelation(relation)
+          }
         } else if (attribute.doc.findAttribute("@noassoc") == null) {
           const refs = attribute.type.collectNames()
+          const multiplicity = config.multiplicities ? inferMultiplicity(attribute.type) : ""
           for (const ref of refs) {
-            if (diagram.hasObject(ref)) {
-              const refObject = diagram.getObject(ref)
+            const refObject = diagram.lookup(ref, object)
+            if (refObject != null) {
               if (!inferred.has(refObject)) {
                 inferred.set(refObject, [])
               }
-              inferred.get(refObject).push(attribute.name)
+              inferred.get(refObject).push({role: attribute.name, multiplicity, location: attribute.location})
             }
           }
         }
@@ -137,20 +201,63 @@ export function inferAssociations(diagram, partialConfig) {
       for (const [refObject, roles] of inferred) {
         if (config.merge) {
           const relation = new AssociativeRelation(object, refObject)
+          relation.location = roles[0].location
           if (config.maxRoles == -1 || roles.length <= config.maxRoles) {
-            relation.roleB = roles.join(", ")
+            relation.roleB = roles.map(({role}) => role).join(", ")
+          }
+          if (roles.every(({multiplicity}) => multiplicity == roles[0].multiplicity)) {
+            relation.multiplicityB = roles[0].multiplicity
           }
-          diagram.addRelation(relation)
+          relations.push(relation)
         } else {
-          for (const role of roles) {
+          for (const {role, multiplicity, location} of roles) {
             const relation = new AssociativeRelation(object, refObject)
+            relation.location = location
             relation.roleB = role
-            diagram.addRelation(relation)
+            relation.multiplicityB = multiplicity
+            relations.push(relation)
           }
         }
       }
     }
   }
+  
+  if (config.bidirectional) {
+    relations = mergeBidirectional(relations)
+  }
+  relations.forEach(relation => diagram.addRelation(relation))
+}
+
+const DEFAULT_PRUNE_DEPENDENCIES_CONFIG = {
+  suppressCovered: true
+}
+
+// Removes dependencies on objects outside of the diagram and on the object
+// itself. If suppressCovered is set, dependencies which are already shown
+// by an association between the same objects are removed as well.
+export function pruneDependencies(diagram, partialConfig) {
+  const config = Object.assign({...DEFAULT_PRUNE_DEPENDENCIES_CONFIG}, partialConfig || {})
+  const key = (a, b) => `${a.qualifiedName} ${b.qualifiedName}`
+  
+  const covered = new Set()
+  if (config.suppressCovered) {
+    for (const relation of diagram.relations) {
+      if (relation instanceof AssociativeRelation) {
+        covered.add(key(relation.a, relation.b))
+        if (relation.headA == "" && relation.headB == "") {
+          covered.add(key(relation.b, relation.a))
+        }
+      }
+    }
+  }
+  
+  diagram.relations = diagram.relations.filter(relation => {
+    return !(relation instanceof DependencyRelation) || (
+      relation.a != relation.b &&
+      diagram.getObject(relation.b.qualifiedName) == relation.b &&
+      !covered.has(key(relation.a, relation.b))
+    )
+  })
 }
 
 export function markImportant(diagram) {
@@ -174,3 +281,299 @@ export function addGetters(diagram) {
   }
 }
 
+// Tarjan's algorithm, iterative to support deep dependency chains.
+// Returns the strongly connected components in reverse topological order.
+function stronglyConnectedComponents(nodes, successors) {
+  const index = new Map()
+  const lowLink = new Map()
+  const stack = []
+  const onStack = new Set()
+  const components = []
+  
+  for (const root of nodes) {
+    if (index.has(root)) {
+      continue
+    }
+    const work = [{node: root, next: 0, succs: null}]
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      if (frame.succs == null) {
+        frame.succs = successors(frame.node)
+        index.set(frame.node, index.size)
+        lowLink.set(frame.node, index.get(frame.node))
+        stack.push(frame.node)
+        onStack.add(frame.node)
+      }
+      
+      if (frame.next < frame.succs.length) {
+        const succ = frame.succs[frame.next++]
+        if (!index.has(succ)) {
+          work.push({node: succ, next: 0, succs: null})
+        } else if (onStack.has(succ)) {
+          lowLink.set(frame.node, Math.min(lowLink.get(frame.node), index.get(succ)))
+        }
+        continue
+      }
+      
+      work.pop()
+      if (work.length > 0) {
+        const parent = work[work.length - 1].node
+        lowLink.set(parent, Math.min(lowLink.get(parent), lowLink.get(frame.node)))
+      }
+      if (lowLink.get(frame.node) == index.get(frame.node)) {
+        const component = []
+        let node = null
+        do {
+          node = stack.pop()
+          onStack.delete(node)
+          component.push(node)
+        } while (node != frame.node)
+        components.push(component)
+      }
+    }
+  }
+  return components
+}
+
+export class CycleReport {
+  constructor() {
+    this.classCycles = []
+    this.packageCycles = []
+    this.relations = new Set()
+  }
+  
+  get hasCycles() {
+    return this.classCycles.length > 0 || this.packageCycles.length > 0
+  }
+  
+  // Whether the relation is part of a class or package cycle
+  hasRelation(relation) {
+    if (relation instanceof AggregatedRelation) {
+      return relation.relations.some(inner => this.relations.has(inner))
+    }
+    return this.relations.has(relation)
+  }
+  
+  toJSON() {
+    return {
+      classCycles: this.classCycles.map(cycle => cycle.objects.map(object => object.qualifiedName)),
+      packageCycles: this.packageCycles.map(cycle => cycle.packages)
+    }
+  }
+  
+  toText() {
+    const lines = []
+    for (const cycle of this.classCycles) {
+      lines.push(`Class cycle: ${cycle.objects.map(object => object.qualifiedName).join(", ")}`)
+    }
+    for (const cycle of this.packageCycles) {
+      lines.push(`Package cycle: ${cycle.packages.join(", ")}`)
+    }
+    return lines.map(line => line + "\n").join("")
+  }
+}
+
+const DEFAULT_FIND_CYCLES_CONFIG = {
+  // Relations which are not dependencies, by default nested objects
+  // are not considered to depend on their enclosing object.
+  ignore: [ContainmentRelation]
+}
+
+// Dependencies between the objects of the diagram as edges of the form
+// {relation, from, to}. Relations to objects outside of the diagram are
+// ignored.
+function dependencyEdges(diagram, ignore) {
+  const relations = diagram.relations.filter(relation => {
+    return !ignore.some(kind => relation instanceof kind) &&
+           diagram.getObject(relation.a.qualifiedName) == relation.a &&
+           diagram.getObject(relation.b.qualifiedName) == relation.b
+  })
+  
+  // Associations without arrow heads (e.g. merged bidirectional
+  // associations) are dependencies in both directions
+  return relations.flatMap(relation => {
+    const edge = {relation, from: relation.a, to: relation.b}
+    if (relation instanceof AssociativeRelation && relation.headA == "" && relation.headB == "") {
+      return [edge, {relation, from: relation.b, to: relation.a}]
+    }
+    return [edge]
+  })
+}
+
+// Finds dependency cycles between objects and between packages using
+// the strongly connected components of the respective dependency graph.
+export function findCycles(diagram, partialConfig) {
+  const config = Object.assign({...DEFAULT_FIND_CYCLES_CONFIG}, partialConfig || {})
+  const edges = dependencyEdges(diagram, config.ignore)
+  
+  const report = new CycleReport()
+  const byName = (a, b) => a.qualifiedName.localeCompare(b.qualifiedName)
+  
+  const outgoing = new Map([...diagram.objects.values()].map(object => [object, []]))
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to))
+  const objectComponents = stronglyConnectedComponents([...diagram.objects.values()], object => outgoing.get(object))
+  for (const component of objectComponents) {
+    if (component.length > 1) {
+      const members = new Set(component)
+      const cycleRelations = new Set(edges
+        .filter(({from, to}) => members.has(from) && members.has(to) && from != to)
+        .map(({relation}) => relation)
+      )
+      report.classCycles.push({objects: component.sort(byName), relations: [...cycleRelations]})
+      cycleRelations.forEach(relation => report.relations.add(relation))
+    }
+  }
+  
+  const packageOf = object => object.package.join(".")
+  const packageEdges = edges.filter(({from, to}) => packageOf(from) != packageOf(to))
+  const dependencies = new Map()
+  for (const object of diagram.objects.values()) {
+    dependencies.set(packageOf(object), new Set())
+  }
+  packageEdges.forEach(({from, to}) => dependencies.get(packageOf(from)).add(packageOf(to)))
+  const packageComponents = stronglyConnectedComponents(
+    [...dependencies.keys()],
+    pkg => [...dependencies.get(pkg)]
+  )
+  for (const component of packageComponents) {
+    if (component.length > 1) {
+      const members = new Set(component)
+      const cycleRelations = new Set(packageEdges
+        .filter(({from, to}) => members.has(packageOf(from)) && members.has(packageOf(to)))
+        .map(({relation}) => relation)
+      )
+      report.packageCycles.push({packages: component.sort(), relations: [...cycleRelations]})
+      cycleRelations.forEach(relation => report.relations.add(relation))
+    }
+  }
+  
+  const byFirst = (a, b) => a[0].localeCompare(b[0])
+  report.classCycles.sort((a, b) => byName(a.objects[0], b.objects[0]))
+  report.packageCycles.sort((a, b) => byFirst(a.packages, b.packages))
+  return report
+}
+
+export const CLASS_METRICS = [
+  "dit", "noc", "attributes", "methods", "constructors", "constants", "members"
+]
+
+export const PACKAGE_METRICS = [
+  "classes", "afferentCoupling", "efferentCoupling", "instability"
+]
+
+export class MetricsReport {
+  constructor() {
+    this.classes = new Map()
+    this.packages = new Map()
+  }
+  
+  // Metrics of the given object or null if it was not measured
+  of(object) {
+    return this.classes.get(object.qualifiedName) || null
+  }
+  
+  get(object, metric) {
+    const metrics = this.of(object)
+    return metrics == null ? null : metrics[metric]
+  }
+  
+  toJSON() {
+    return {
+      classes: [...this.classes.values()].map(metrics => ({...metrics})),
+      packages: [...this.packages.values()].map(metrics => ({...metrics}))
+    }
+  }
+}
+
+const DEFAULT_COMPUTE_METRICS_CONFIG = {
+  ignore: [ContainmentRelation]
+}
+
+const isMeasured = object => !(object instanceof PackageObject) && !(object instanceof UnresolvedObject)
+
+// Computes the depth of inheritance tree (dit), the number of children
+// (noc) and member counts of every object as well as the afferent (Ca)
+// and efferent (Ce) coupling and the instability Ce / (Ca + Ce) of every
+// package. Coupling counts the objects inside (Ce) or outside (Ca) of the
+// package which depend on objects on the other side of its boundary.
+export function computeMetrics(diagram, partialConfig) {
+  const config = Object.assign({...DEFAULT_COMPUTE_METRICS_CONFIG}, partialConfig || {})
+  const objects = [...diagram.objects.values()]
+    .filter(isMeasured)
+    .sort((a, b) => a.qualifiedName.localeCompare(b.qualifiedName))
+  
+  const superclasses = new Map()
+  const children = new Map(objects.map(object => [object, 0]))
+  for (const relation of diagram.relations) {
+    if (relation instanceof InheritanceRelation) {
+      if (!superclasses.has(relation.a)) {
+        superclasses.set(relation.a, [])
+      }
+      superclasses.get(relation.a).push(relation.b)
+      if (children.has(relation.b) && diagram.getObject(relation.a.qualifiedName) == relation.a) {
+        children.set(relation.b, children.get(relation.b) + 1)
+      }
+    }
+  }
+  
+  // Objects on an inheritance cycle do not contribute to their own depth
+  const depths = new Map()
+  const depthOf = (object, visiting) => {
+    if (depths.has(object)) {
+      return depths.get(object)
+    }
+    visiting.add(object)
+    let depth = 0
+    for (const superclass of superclasses.get(object) || []) {
+      if (!visiting.has(superclass)) {
+        depth = Math.max(depth, depthOf(superclass, visiting) + 1)
+      }
+    }
+    visiting.delete(object)
+    depths.set(object, depth)
+    return depth
+  }
+  
+  const report = new MetricsReport()
+  for (const object of objects) {
+    const count = field => (object[field] || []).length
+    report.classes.set(object.qualifiedName, {
+      name: object.qualifiedName,
+      package: object.package.join("."),
+      dit: depthOf(object, new Set()),
+      noc: children.get(object),
+      attributes: count("attributes"),
+      methods: count("methods"),
+      constructors: count("constructors"),
+      constants: count("constants"),
+      members: object.members.length
+    })
+  }
+  
+  const packageOf = object => object.package.join(".")
+  const afferent = new Map()
+  const efferent = new Map()
+  for (const object of objects) {
+    afferent.set(packageOf(object), new Set())
+    efferent.set(packageOf(object), new Set())
+  }
+  for (const {from, to} of dependencyEdges(diagram, config.ignore)) {
+    if (isMeasured(from) && isMeasured(to) && packageOf(from) != packageOf(to)) {
+      efferent.get(packageOf(from)).add(from)
+      afferent.get(packageOf(to)).add(from)
+    }
+  }
+  
+  for (const pkg of [...afferent.keys()].sort()) {
+    const ca = afferent.get(pkg).size
+    const ce = efferent.get(pkg).size
+    report.packages.set(pkg, {
+      name: pkg,
+      classes: objects.filter(object => packageOf(object) == pkg).length,
+      afferentCoupling: ca,
+      efferentCoupling: ce,
+      instability: ca + ce == 0 ? null : ce / (ca + ce)
+    })
+  }
+  return report
+}
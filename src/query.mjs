@@ -0,0 +1,259 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Selector language for picking objects from a diagram
+//
+//   selector := term (("|" | "-") term)*
+//   term     := factor ("&" factor)*
+//   factor   := "(" selector ")" | "@" word | word "(" args ")" | pattern
+//
+// Patterns containing a dot are matched against the qualified name of
+// objects, all other patterns against their simple name.
+// "*" matches any part of a name segment, "**" also matches dots.
+
+import {
+  Diagram,
+  ClassObject, EnumObject, RecordObject, InterfaceObject, AnnotationObject,
+  InheritanceRelation, ImplementsRelation, ContainmentRelation
+} from "./model.mjs"
+
+const KINDS = {
+  class: object => object.constructor == ClassObject,
+  enum: object => object instanceof EnumObject,
+  record: object => object instanceof RecordObject,
+  interface: object => object instanceof InterfaceObject && !(object instanceof AnnotationObject),
+  annotation: object => object instanceof AnnotationObject
+}
+
+const isStructural = relation => {
+  return relation instanceof InheritanceRelation ||
+         relation instanceof ImplementsRelation ||
+         relation instanceof ContainmentRelation
+}
+
+// Objects reachable from the given objects by following the matching
+// relations backwards (from b to a) or forwards (from a to b).
+function traverse(diagram, objects, predicate, backwards, transitive) {
+  const result = new Set()
+  let frontier = [...objects]
+  while (frontier.length > 0) {
+    const current = new Set(frontier)
+    frontier = []
+    for (const relation of diagram.relations) {
+      if (!predicate(relation)) {
+        continue
+      }
+      const [from, to] = backwards ? [relation.b, relation.a] : [relation.a, relation.b]
+      if (current.has(from) && !result.has(to)) {
+        result.add(to)
+        if (transitive) {
+          frontier.push(to)
+        }
+      }
+    }
+  }
+  return result
+}
+
+const TRAVERSALS = {
+  subclassesOf: (diagram, objects) => {
+    return traverse(diagram, objects, relation => relation instanceof InheritanceRelation, true, true)
+  },
+  superclassesOf: (diagram, objects) => {
+    return traverse(diagram, objects, relation => relation instanceof InheritanceRelation, false, true)
+  },
+  implementorsOf: (diagram, objects) => {
+    const isSubtype = relation => {
+      return relation instanceof InheritanceRelation || relation instanceof ImplementsRelation
+    }
+    const subtypes = traverse(diagram, objects, isSubtype, true, true)
+    return new Set([...subtypes].filter(object => !(object instanceof InterfaceObject)))
+  },
+  referencedBy: (diagram, objects) => {
+    return traverse(diagram, objects, relation => !isStructural(relation), false, false)
+  },
+  referencing: (diagram, objects) => {
+    return traverse(diagram, objects, relation => !isStructural(relation), true, false)
+  },
+  nestedIn: (diagram, objects) => {
+    return traverse(diagram, objects, relation => relation instanceof ContainmentRelation, true, true)
+  }
+}
+
+const PREDICATES = {
+  kind: (object, args) => args.some(kind => KINDS[kind](object)),
+  stereotype: (object, args) => args.some(stereotype => object.stereotypes.includes(stereotype)),
+  name: (object, args) => args.some(pattern => globToRegExp(pattern).test(object.simpleName)),
+  package: (object, args) => args.some(pattern => globToRegExp(pattern).test(object.package.join(".")))
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("**")
+    .map(part => part
+      .split("*")
+      .map(text => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[^.]*")
+    )
+    .join(".*")
+  return new RegExp(`^${source}$`)
+}
+
+function tokenize(source) {
+  const TOKEN = /\s*(?:([()|&\-,@])|"([^"]*)"|([A-Za-z0-9_$.*]+))/y
+  const tokens = []
+  TOKEN.lastIndex = 0
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.substr(TOKEN.lastIndex))) {
+      break
+    }
+    const start = TOKEN.lastIndex
+    const match = TOKEN.exec(source)
+    if (match == null) {
+      throw `Unexpected character in selector at ${start}: ${source.substr(start)}`
+    }
+    if (match[1] != null) {
+      tokens.push({kind: match[1], value: match[1]})
+    } else {
+      tokens.push({kind: "word", value: match[2] != null ? match[2] : match[3]})
+    }
+  }
+  return tokens
+}
+
+// Parsed selector which can be evaluated against any diagram
+export class Selector {
+  constructor(source) {
+    this.source = source
+    this.tokens = tokenize(source)
+    this.index = 0
+    this.evaluate = this.parseSelector()
+    if (this.index < this.tokens.length) {
+      throw `Unexpected ${this.tokens[this.index].value} in selector ${source}`
+    }
+  }
+  
+  static parse(source) {
+    return new Selector(source)
+  }
+  
+  peek() {
+    return this.index < this.tokens.length ? this.tokens[this.index] : null
+  }
+  
+  next(kind) {
+    const token = this.peek()
+    if (token == null || token.kind != kind) {
+      throw `Expected ${kind} in selector ${this.source}`
+    }
+    this.index++
+    return token.value
+  }
+  
+  accept(kind) {
+    const token = this.peek()
+    if (token != null && token.kind == kind) {
+      this.index++
+      return true
+    }
+    return false
+  }
+  
+  parseSelector() {
+    let result = this.parseTerm()
+    while (this.peek() != null && (this.peek().kind == "|" || this.peek().kind == "-")) {
+      const op = this.next(this.peek().kind)
+      const left = result
+      const right = this.parseTerm()
+      if (op == "|") {
+        result = diagram => new Set([...left(diagram), ...right(diagram)])
+      } else {
+        result = diagram => {
+          const removed = right(diagram)
+          return new Set([...left(diagram)].filter(object => !removed.has(object)))
+        }
+      }
+    }
+    return result
+  }
+  
+  parseTerm() {
+    let result = this.parseFactor()
+    while (this.accept("&")) {
+      const left = result
+      const right = this.parseFactor()
+      result = diagram => {
+        const other = right(diagram)
+        return new Set([...left(diagram)].filter(object => other.has(object)))
+      }
+    }
+    return result
+  }
+  
+  parseFactor() {
+    if (this.accept("(")) {
+      const result = this.parseSelector()
+      this.next(")")
+      return result
+    } else if (this.accept("@")) {
+      const name = "@" + this.next("word")
+      return this.filter(object => object.doc.findAttribute(name) != null)
+    }
+    
+    const word = this.next("word")
+    if (!this.accept("(")) {
+      const pattern = globToRegExp(word)
+      if (word.includes(".")) {
+        return this.filter(object => pattern.test(object.qualifiedName))
+      }
+      return this.filter(object => pattern.test(object.simpleName))
+    }
+    
+    if (Object.hasOwn(TRAVERSALS, word)) {
+      const inner = this.parseSelector()
+      this.next(")")
+      return diagram => TRAVERSALS[word](diagram, inner(diagram))
+    } else if (Object.hasOwn(PREDICATES, word)) {
+      const args = [this.next("word")]
+      while (this.accept(",")) {
+        args.push(this.next("word"))
+      }
+      this.next(")")
+      if (word == "kind") {
+        args.filter(kind => !Object.hasOwn(KINDS, kind)).forEach(kind => {
+          throw `Unknown kind ${kind} in selector`
+        })
+      }
+      return this.filter(object => PREDICATES[word](object, args))
+    }
+    throw `Unknown selector function ${word}`
+  }
+  
+  filter(predicate) {
+    return diagram => new Set([...diagram.objects.values()].filter(predicate))
+  }
+}
+
+Diagram.prototype.selectObjects = function(selector) {
+  if (typeof selector == "string") {
+    selector = Selector.parse(selector)
+  }
+  return selector.evaluate(this)
+}
+
+Diagram.prototype.select = function(selector) {
+  return this.viewMultiple(this.selectObjects(selector))
+}
@@ -14,10 +14,32 @@
  * limitations under the License.
  */
 
+import {PackageObject, AggregatedRelation} from "./model.mjs"
+
+const DEFAULT_NEIGHBORHOOD = {
+  depth: 1,
+  direction: "out",
+  kinds: null,
+  stubs: false
+}
+
+const DEFAULT_COLLAPSE = {
+  expanded: [],
+  collapsed: null
+}
+
+const DEFAULT_PATHS = {
+  maxLength: null,
+  direction: "out"
+}
+
 export class View {
   constructor(objects, diagram) {
     this.objects = new Set(objects)
     this.showAdjacent = false
+    this.neighborhood = null
+    this.shownRelations = null
+    this.collapse = null
     this.diagram = diagram
   }
   
@@ -26,6 +48,44 @@ export class View {
     return this
   }
   
+  // Also shows all objects which are at most depth relations away from the
+  // view. The direction ("in", "out" or "both") determines whether relations
+  // are followed from a to b, from b to a or both ways. If kinds is given,
+  // only relations which are instances of one of the given classes are
+  // followed. Neighbors are rendered like adjacent objects if stubs is set.
+  withNeighborhood(options) {
+    this.neighborhood = Object.assign({...DEFAULT_NEIGHBORHOOD}, options || {})
+    return this
+  }
+  
+  followsRelation(relation) {
+    const {kinds} = this.neighborhood
+    return kinds == null || kinds.some(kind => relation instanceof kind)
+  }
+  
+  collectNeighborhood(rendered) {
+    const {depth, direction} = this.neighborhood
+    const neighbors = new Set()
+    let frontier = new Set(rendered)
+    for (let it = 0; it < depth && frontier.size > 0; it++) {
+      const reached = new Set()
+      for (const relation of this.diagram.relations) {
+        if (!this.followsRelation(relation)) {
+          continue
+        }
+        if (direction != "in" && frontier.has(relation.a)) {
+          reached.add(relation.b)
+        }
+        if (direction != "out" && frontier.has(relation.b)) {
+          reached.add(relation.a)
+        }
+      }
+      frontier = new Set([...reached].filter(object => !rendered.has(object) && !neighbors.has(object)))
+      frontier.forEach(object => neighbors.add(object))
+    }
+    return neighbors
+  }
+  
   show(object) {
     this.objects.add(object)
     return this
@@ -36,6 +96,150 @@ export class View {
     return this
   }
   
+  // Renders packages as single nodes. Packages are given as PackageObjects
+  // or by their full name (e.g. "game.player"). If collapsed is given, only
+  // the listed packages are collapsed. Otherwise all packages except the
+  // top level packages of the view and the listed expanded packages are
+  // collapsed. Relations of objects in collapsed packages are aggregated.
+  collapsePackages(options) {
+    this.collapse = Object.assign({...DEFAULT_COLLAPSE}, options || {})
+    return this
+  }
+  
+  // Computes the full name and the enclosing packages of all packages and
+  // objects of the view, as well as the set of collapsed packages.
+  planPackages() {
+    const paths = new Map()
+    const parents = new Map()
+    const visit = (pkg, path, ancestors) => {
+      paths.set(pkg, path)
+      parents.set(pkg, ancestors)
+      for (const object of pkg.objects.values()) {
+        if (object instanceof PackageObject) {
+          visit(object, [path, object.name].filter(name => name != "").join("."), [...ancestors, pkg])
+        } else {
+          parents.set(object, [...ancestors, pkg])
+        }
+      }
+    }
+    const roots = [...this.objects].filter(object => object instanceof PackageObject)
+    roots.forEach(root => visit(root, [...root.package, root.name].filter(name => name != "").join("."), []))
+    
+    const toPath = entry => entry instanceof PackageObject ? paths.get(entry) : entry
+    const collapsed = new Set()
+    const isCollapsed = (pkg, path) => {
+      if (this.collapse.collapsed != null) {
+        return this.collapse.collapsed.map(toPath).includes(path)
+      }
+      return !roots.includes(pkg) && !this.collapse.expanded.map(toPath).some(expanded => {
+        return expanded == path || expanded.startsWith(path + ".")
+      })
+    }
+    const mark = pkg => {
+      if (paths.get(pkg) != "" && isCollapsed(pkg, paths.get(pkg))) {
+        collapsed.add(pkg)
+      } else {
+        [...pkg.objects.values()].filter(object => object instanceof PackageObject).forEach(mark)
+      }
+    }
+    roots.forEach(mark)
+    
+    return {paths, parents, collapsed}
+  }
+  
+  // Only renders the given relations instead of all relations of the diagram
+  restrictRelations(relations) {
+    this.shownRelations = new Set(relations)
+    return this
+  }
+  
+  // Finds the paths of relations from a to b which only pass through
+  // objects of this view. By default only the shortest paths are found,
+  // maxLength allows longer paths. Returns a view containing only the
+  // objects and relations on these paths. The paths themselves are
+  // stored in its paths field.
+  pathsBetween(a, b, options) {
+    const {maxLength, direction} = Object.assign({...DEFAULT_PATHS}, options || {})
+    const resolve = object => typeof object == "string" ? this.diagram.lookup(object) : object
+    a = resolve(a)
+    b = resolve(b)
+    
+    let allowed = []
+    for (const object of this.objects) {
+      allowed = [...allowed, ...object.collectObjects()]
+    }
+    allowed = new Set(allowed)
+    
+    // Edges leaving each object, as pairs of relation and target
+    const edges = new Map([...allowed].map(object => [object, []]))
+    const reverseEdges = new Map([...allowed].map(object => [object, []]))
+    const addEdge = (relation, from, to) => {
+      if (allowed.has(from) && allowed.has(to) && from != to) {
+        edges.get(from).push({relation, to})
+        reverseEdges.get(to).push({relation, to: from})
+      }
+    }
+    for (const relation of this.diagram.relations) {
+      if (direction != "in") { addEdge(relation, relation.a, relation.b) }
+      if (direction != "out") { addEdge(relation, relation.b, relation.a) }
+    }
+    
+    const distances = object => {
+      const distance = new Map([[object, 0]])
+      let frontier = [object]
+      while (frontier.length > 0) {
+        const next = []
+        for (const current of frontier) {
+          for (const {to} of reverseEdges.get(current)) {
+            if (!distance.has(to)) {
+              distance.set(to, distance.get(current) + 1)
+              next.push(to)
+            }
+          }
+        }
+        frontier = next
+      }
+      return distance
+    }
+    
+    const paths = []
+    if (allowed.has(a) && allowed.has(b)) {
+      const distanceToB = distances(b)
+      const limit = maxLength == null ? distanceToB.get(a) : maxLength
+      const visited = new Set([a])
+      const walk = (object, path) => {
+        if (object == b) {
+          paths.push([...path])
+          return
+        }
+        for (const {relation, to} of edges.get(object)) {
+          if (!visited.has(to) && distanceToB.has(to) &&
+              path.length + 1 + distanceToB.get(to) <= limit) {
+            visited.add(to)
+            path.push(relation)
+            walk(to, path)
+            path.pop()
+            visited.delete(to)
+          }
+        }
+      }
+      if (limit != null) {
+        walk(a, [])
+      }
+    }
+    
+    const objects = new Set(paths.length > 0 ? [a, b] : [])
+    for (const path of paths) {
+      path.forEach(relation => {
+        objects.add(relation.a)
+        objects.add(relation.b)
+      })
+    }
+    const view = new View(objects, this.diagram).restrictRelations(paths.flat())
+    view.paths = paths
+    return view
+  }
+  
   planRender() {
     let rendered = []
     for (const object of this.objects) {
@@ -43,18 +247,123 @@ export class View {
     }
     rendered = new Set(rendered)
     
+    let objects = this.objects
     let adjacent = []
+    let neighbors = new Set()
+    if (this.neighborhood != null) {
+      neighbors = this.collectNeighborhood(rendered)
+      if (this.neighborhood.stubs) {
+        adjacent = [...neighbors]
+      } else {
+        objects = new Set([...objects, ...neighbors])
+      }
+    }
+    const visible = new Set([...rendered, ...neighbors])
+    
     let relations = []
-    for (const relation of this.diagram.relations) {
+    for (const relation of this.shownRelations || this.diagram.relations) {
       if (rendered.has(relation.a) && rendered.has(relation.b)) {
         relations.push(relation)
+      } else if (visible.has(relation.a) && visible.has(relation.b) && this.followsRelation(relation)) {
+        relations.push(relation)
       } else if (this.showAdjacent && rendered.has(relation.a)) {
         relations.push(relation)
-        adjacent.push(relation.b)
+        if (!visible.has(relation.b)) {
+          adjacent.push(relation.b)
+        }
+      }
+    }
+    
+    const names = this.assignNames(visible, adjacent)
+    if (this.collapse == null) {
+      return {objects, adjacent, relations, names, collapsed: new Set(), anchors: new Map()}
+    }
+    
+    const {paths, parents, collapsed} = this.planPackages()
+    for (const [pkg, path] of paths) {
+      names.set(pkg, path)
+    }
+    relations = this.aggregateRelations(relations, parents, collapsed)
+    
+    // Node used as the end point of edges to the cluster of an expanded package
+    const anchors = new Map()
+    const findAnchor = pkg => {
+      for (const object of pkg.objects.values()) {
+        if (!(object instanceof PackageObject) || collapsed.has(object)) {
+          return object
+        }
+        const anchor = findAnchor(object)
+        if (anchor != null) {
+          return anchor
+        }
+      }
+      return null
+    }
+    for (const pkg of paths.keys()) {
+      const anchor = findAnchor(pkg)
+      if (anchor != null) {
+        anchors.set(pkg, anchor)
+      }
+    }
+    
+    return {objects, adjacent, relations, names, collapsed, anchors}
+  }
+  
+  // Replaces relations from or to objects in collapsed packages by
+  // relations between the collapsed packages. If only one end point is in
+  // a collapsed package, the other end point is replaced by the largest
+  // expanded package containing it, which does not contain the collapsed one.
+  aggregateRelations(relations, parents, collapsed) {
+    const collapsedPackageOf = object => {
+      return (parents.get(object) || []).find(pkg => collapsed.has(pkg)) || null
+    }
+    const enclosingPackage = (object, other) => {
+      const otherParents = [...(parents.get(other) || []), other]
+      return (parents.get(object) || []).find(pkg => !otherParents.includes(pkg)) || object
+    }
+    
+    const result = []
+    const aggregated = new Map()
+    for (const relation of relations) {
+      let a = collapsedPackageOf(relation.a)
+      let b = collapsedPackageOf(relation.b)
+      if (a == null && b == null) {
+        result.push(relation)
+        continue
+      }
+      if (a == b) {
+        continue
+      }
+      a = a || enclosingPackage(relation.a, b)
+      b = b || enclosingPackage(relation.b, a)
+      
+      if (!aggregated.has(a)) {
+        aggregated.set(a, new Map())
       }
+      if (!aggregated.get(a).has(b)) {
+        const aggregate = new AggregatedRelation(a, b)
+        aggregated.get(a).set(b, aggregate)
+        result.push(aggregate)
+      }
+      aggregated.get(a).get(b).relations.push(relation)
+    }
+    return result
+  }
+  
+  // Objects are only referred to by their qualified name if their
+  // simple name is ambiguous within the rendered diagram.
+  assignNames(rendered, adjacent) {
+    const objects = new Set([...rendered, ...adjacent])
+    const counts = new Map()
+    for (const object of objects) {
+      counts.set(object.name, (counts.get(object.name) || 0) + 1)
     }
     
-    return {objects: this.objects, adjacent, relations}
+    const names = new Map()
+    for (const object of objects) {
+      names.set(object, counts.get(object.name) > 1 ? object.qualifiedName : object.name)
+    }
+    return names
   }
 }
 
@@ -0,0 +1,146 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Architecture rules restricting the relations between objects
+//
+// A rule selects the relations it applies to using the selectors "from"
+// and optionally "kinds" (a list of relation classes). Rules with a "to"
+// selector forbid relations to the selected objects, rules with an
+// "onlyTo" selector forbid relations to all other objects of the diagram.
+
+import {View} from "./rendering.mjs"
+import {ContainmentRelation} from "./model.mjs"
+import {Selector} from "./query.mjs"
+
+const DEFAULT_RULE = {
+  name: null,
+  from: "*",
+  to: null,
+  onlyTo: null,
+  kinds: null,
+  ignore: [ContainmentRelation],
+  message: null
+}
+
+export class RuleViolation {
+  constructor(rule, relation) {
+    this.rule = rule
+    this.relation = relation
+  }
+  
+  get from() { return this.relation.a }
+  get to() { return this.relation.b }
+  
+  // Location of the violating relation in the source code, falls back to
+  // the location of the object from which it originates. Null if neither
+  // is known (e.g. for diagrams of parsers which do not record locations).
+  get location() {
+    return this.relation.location || this.from.location || null
+  }
+  
+  get message() {
+    if (this.rule.message != null) {
+      return this.rule.message
+    }
+    const kind = this.relation.constructor.name.replace(/Relation$/, "").toLowerCase()
+    return `${kind} from ${this.from.qualifiedName} to ${this.to.qualifiedName} violates rule ${this.rule.name}`
+  }
+  
+  toJSON() {
+    const location = this.location
+    return {
+      rule: this.rule.name,
+      message: this.message,
+      from: this.from.qualifiedName,
+      to: this.to.qualifiedName,
+      kind: this.relation.constructor.name,
+      location: location == null ? null : {...location}
+    }
+  }
+}
+
+export class RuleReport {
+  constructor(diagram, violations) {
+    this.diagram = diagram
+    this.violations = violations
+  }
+  
+  get hasViolations() {
+    return this.violations.length > 0
+  }
+  
+  // View containing only the violating relations and their end points
+  toView() {
+    const objects = new Set()
+    for (const violation of this.violations) {
+      objects.add(violation.from)
+      objects.add(violation.to)
+    }
+    return new View(objects, this.diagram)
+      .restrictRelations(this.violations.map(violation => violation.relation))
+  }
+  
+  toJSON() {
+    return {violations: this.violations.map(violation => violation.toJSON())}
+  }
+  
+  toText() {
+    return this.violations.map(violation => {
+      const location = violation.location
+      if (location == null) {
+        return `${violation.message}\n`
+      }
+      const {file, line, column} = location
+      const position = [file || "<unknown>", line, column].filter(part => part != null).join(":")
+      return `${position}: ${violation.message}\n`
+    }).join("")
+  }
+}
+
+function toSelector(selector) {
+  return typeof selector == "string" ? Selector.parse(selector) : selector
+}
+
+export function checkRules(diagram, rules) {
+  const violations = []
+  rules.forEach((partialRule, index) => {
+    const rule = Object.assign({...DEFAULT_RULE}, partialRule)
+    if (rule.name == null) {
+      rule.name = `#${index + 1}`
+    }
+    if ((rule.to == null) == (rule.onlyTo == null)) {
+      throw `Rule ${rule.name} needs exactly one of to and onlyTo`
+    }
+    
+    const from = diagram.selectObjects(toSelector(rule.from))
+    const to = diagram.selectObjects(toSelector(rule.to || rule.onlyTo))
+    for (const relation of diagram.relations) {
+      if (!from.has(relation.a) ||
+          rule.ignore.some(kind => relation instanceof kind) ||
+          (rule.kinds != null && !rule.kinds.some(kind => relation instanceof kind))) {
+        continue
+      }
+      
+      if (rule.to != null && to.has(relation.b)) {
+        violations.push(new RuleViolation(rule, relation))
+      } else if (rule.onlyTo != null && !to.has(relation.b) &&
+                 diagram.getObject(relation.b.qualifiedName) == relation.b) {
+        violations.push(new RuleViolation(rule, relation))
+      }
+    }
+  })
+  return new RuleReport(diagram, violations)
+}
@@ -0,0 +1,141 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Sequence diagrams of the calls made by a method
+//
+// Calls are taken from the invocations recorded by the Java parser if its
+// invocations option is set. Starting at the entry method, the calls of
+// each called method are followed up to the given depth. Recursive calls
+// are shown, but not followed.
+
+import {View} from "./rendering.mjs"
+import {Diagram} from "./model.mjs"
+import {findMethods, resolveInvocation} from "./callgraph.mjs"
+
+const DEFAULT_SEQUENCE = {
+  depth: null
+}
+
+// Call of method on the lifeline to. The items are the messages and
+// fragments of the calls made by the called method. The call of the
+// entry method has no sender.
+export class Message {
+  constructor(from, to, method, invocation) {
+    this.from = from
+    this.to = to
+    this.method = method
+    this.invocation = invocation
+    this.items = []
+  }
+  
+  get label() {
+    return `${this.method.name}(${this.method.args.map(arg => arg.name).join(", ")})`
+  }
+}
+
+// Conditional ("alt") or loop ("loop") enclosing messages. Each branch
+// consists of its condition (null for else branches) and its items.
+export class Fragment {
+  constructor(kind, id) {
+    this.kind = kind
+    this.id = id
+    this.branches = []
+  }
+}
+
+export class SequenceDiagram {
+  constructor(diagram, object, method, depth=null) {
+    this.diagram = diagram
+    this.depth = depth
+    this.lifelines = [object]
+    this.entry = new Message(null, object, method, null)
+    this.entry.items = this.collectItems(object, object, method, depth, [method])
+  }
+  
+  // The lifeline is the object receiving the call of the method, which is
+  // declared by object (itself or one of its supertypes)
+  collectItems(lifeline, object, method, depth, stack) {
+    const items = []
+    let open = []
+    for (const invocation of method.invocations) {
+      const callee = resolveInvocation(this.diagram, object, invocation)
+      if (callee == null) {
+        continue
+      }
+      
+      // Closes the fragments which do not enclose the invocation and opens
+      // the new ones, branches of an open fragment are appended to it
+      const fragments = invocation.fragments
+      let common = 0
+      while (common < open.length && common < fragments.length &&
+             open[common].id == fragments[common].id &&
+             open[common].branch == fragments[common].branch) {
+        common++
+      }
+      open = open.slice(0, common)
+      for (let it = common; it < fragments.length; it++) {
+        const {kind, id, branch, condition} = fragments[it]
+        const parent = it == 0 ? items : open[it - 1].items
+        let fragment = parent[parent.length - 1]
+        if (!(fragment instanceof Fragment) || fragment.id != id) {
+          fragment = new Fragment(kind, id)
+          parent.push(fragment)
+        }
+        // Branches of a conditional without calls are kept empty, so that
+        // the conditions of the following branches remain correct
+        const previous = fragments[it].previous || []
+        while (fragment.branches.length < Math.min(branch, previous.length)) {
+          fragment.branches.push({condition: previous[fragment.branches.length], items: []})
+        }
+        const branchItems = []
+        fragment.branches.push({condition, items: branchItems})
+        open.push({id, branch, items: branchItems})
+      }
+      
+      const receiver = invocation.receiver == "this" || invocation.receiver == "super" ? lifeline : callee.receiver
+      if (!this.lifelines.includes(receiver)) {
+        this.lifelines.push(receiver)
+      }
+      const message = new Message(lifeline, receiver, callee.method, invocation)
+      if ((depth == null || depth > 1) && !stack.includes(callee.method)) {
+        const nextDepth = depth == null ? null : depth - 1
+        message.items = this.collectItems(receiver, callee.object, callee.method, nextDepth, [...stack, callee.method])
+      }
+      (open.length == 0 ? items : open[open.length - 1].items).push(message)
+    }
+    return items
+  }
+  
+  // Lifelines are only referred to by their qualified name if their
+  // simple name is ambiguous
+  get names() {
+    return new View([], this.diagram).assignNames(new Set(this.lifelines), [])
+  }
+}
+
+// Builds the sequence diagram of the calls made by the entry method, which
+// is given by the name of its object and its name (e.g. "Player.move").
+// Overloaded methods must be selected by their number of arguments
+// (e.g. "Player.move/2"). With depth 1 only the calls made by the entry
+// method itself are shown.
+Diagram.prototype.sequenceFrom = function(entry, options) {
+  const {depth} = Object.assign({...DEFAULT_SEQUENCE}, options || {})
+  const {object, methods} = findMethods(this, entry)
+  if (methods.length > 1) {
+    throw `Ambiguous method ${entry}, specify the number of arguments (e.g. ${entry}/${methods[0].args.length})`
+  }
+  return new SequenceDiagram(this, object, methods[0], depth)
+}
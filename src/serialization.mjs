@@ -0,0 +1,435 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// JSON (de)serialization of diagrams, see schema/diagram.schema.json
+
+import {readFileSync, writeFileSync} from "fs"
+import {
+  Diagram, DiagramObject, ClassMember, Relation, DocComment, Diagnostic,
+  ClassObject, EnumObject, RecordObject, InterfaceObject, AnnotationObject,
+  UnresolvedObject, PackageObject,
+  Attribute, Method, Constructor, Argument, Constant, Invocation,
+  InheritanceRelation, ImplementsRelation, AssociativeRelation, ContainmentRelation,
+  DependencyRelation
+} from "./model.mjs"
+import {
+  Type, VoidType, NamedType, PrimitiveType, GenericType, WildcardType,
+  CollectionType, ListType, SetType, OptionalType, ArrayType, MapType,
+  SourceType
+} from "./types.mjs"
+
+const FORMAT_VERSION = 1
+
+const TYPE_KINDS = {
+  void: VoidType,
+  named: NamedType,
+  primitive: PrimitiveType,
+  generic: GenericType,
+  wildcard: WildcardType,
+  collection: CollectionType,
+  list: ListType,
+  set: SetType,
+  optional: OptionalType,
+  array: ArrayType,
+  map: MapType,
+  source: SourceType
+}
+
+const OBJECT_KINDS = {
+  class: ClassObject,
+  enum: EnumObject,
+  record: RecordObject,
+  interface: InterfaceObject,
+  annotation: AnnotationObject,
+  unresolved: UnresolvedObject,
+  package: PackageObject
+}
+
+const MEMBER_KINDS = {
+  attribute: Attribute,
+  method: Method,
+  constructor: Constructor,
+  constant: Constant
+}
+
+const RELATION_KINDS = {
+  inheritance: InheritanceRelation,
+  implements: ImplementsRelation,
+  containment: ContainmentRelation,
+  association: AssociativeRelation,
+  dependency: DependencyRelation,
+  relation: Relation
+}
+
+function kindOf(kinds, value) {
+  for (const [kind, constr] of Object.entries(kinds)) {
+    if (value.constructor == constr) {
+      return kind
+    }
+  }
+  throw `Unable to serialize ${value.constructor.name}`
+}
+
+function constructorOf(kinds, kind) {
+  if (!Object.hasOwn(kinds, kind)) {
+    throw `Unknown kind ${kind}`
+  }
+  return kinds[kind]
+}
+
+// Types
+
+Type.prototype.toJSON = function() {
+  return {kind: kindOf(TYPE_KINDS, this)}
+}
+
+CollectionType.prototype.toJSON = function() {
+  return {kind: kindOf(TYPE_KINDS, this), item: this.item.toJSON()}
+}
+
+NamedType.prototype.toJSON = function() {
+  return {kind: kindOf(TYPE_KINDS, this), name: this.name}
+}
+
+GenericType.prototype.toJSON = function() {
+  return {kind: "generic", name: this.name, args: this.args.map(arg => arg.toJSON())}
+}
+
+WildcardType.prototype.toJSON = function() {
+  return {
+    kind: "wildcard",
+    bound: this.bound == null ? null : this.bound.toJSON(),
+    boundKind: this.kind
+  }
+}
+
+MapType.prototype.toJSON = function() {
+  return {kind: "map", key: this.key.toJSON(), value: this.value.toJSON()}
+}
+
+SourceType.prototype.toJSON = function() {
+  return {kind: "source", source: this.source}
+}
+
+Type.fromJSON = function(json) {
+  const constr = constructorOf(TYPE_KINDS, json.kind)
+  switch (json.kind) {
+    case "void": return new VoidType()
+    case "named":
+    case "primitive":
+      return new constr(json.name)
+    case "generic": return new GenericType(json.name, json.args.map(Type.fromJSON))
+    case "wildcard":
+      return new WildcardType(json.boundKind, json.bound == null ? null : Type.fromJSON(json.bound))
+    case "map": return new MapType(Type.fromJSON(json.key), Type.fromJSON(json.value))
+    case "source": return new SourceType(json.source)
+    default: return new constr(Type.fromJSON(json.item))
+  }
+}
+
+// Source locations and diagnostics
+
+function copyLocation(location) {
+  return location == null ? null : {...location}
+}
+
+Diagnostic.prototype.toJSON = function() {
+  return {severity: this.severity, message: this.message, location: copyLocation(this.location)}
+}
+
+Diagnostic.fromJSON = function(json) {
+  return new Diagnostic(json.severity, json.message, copyLocation(json.location))
+}
+
+// Doc comments
+
+DocComment.prototype.toJSON = function() {
+  return {
+    content: this.content,
+    attrs: this.attrs.map(({name, params, value}) => {
+      return {name, params: [...params], value}
+    }),
+    location: copyLocation(this.location)
+  }
+}
+
+DocComment.fromJSON = function(json) {
+  const doc = new DocComment(json.content)
+  for (const {name, params, value} of json.attrs) {
+    doc.addAttribute(name, [...params], value)
+  }
+  doc.location = copyLocation(json.location)
+  return doc
+}
+
+// Members
+
+Argument.prototype.toJSON = function() {
+  return {name: this.name, type: this.type.toJSON()}
+}
+
+Argument.fromJSON = function(json) {
+  return new Argument(json.name, Type.fromJSON(json.type))
+}
+
+Invocation.prototype.toJSON = function() {
+  return {
+    receiver: this.receiver,
+    name: this.name,
+    argCount: this.argCount,
+    fragments: this.fragments.map(fragment => ({...fragment})),
+    location: copyLocation(this.location)
+  }
+}
+
+Invocation.fromJSON = function(json) {
+  const invocation = new Invocation(json.receiver, json.name, json.argCount)
+  invocation.fragments = (json.fragments || []).map(fragment => ({...fragment}))
+  invocation.location = copyLocation(json.location)
+  return invocation
+}
+
+ClassMember.prototype.toJSON = function() {
+  const json = {
+    kind: kindOf(MEMBER_KINDS, this),
+    visibility: this.visibility,
+    name: this.name,
+    isStatic: this.isStatic,
+    customStereotypes: [...this.customStereotypes],
+    doc: this.doc.toJSON(),
+    important: this.important,
+    location: copyLocation(this.location)
+  }
+  if (this instanceof Attribute) {
+    json.type = this.type.toJSON()
+  }
+  if (this instanceof Method) {
+    json.isAbstract = this.isAbstract
+    json.result = this.result.toJSON()
+  }
+  if (this instanceof Method || this instanceof Constructor) {
+    json.args = this.args.map(arg => arg.toJSON())
+    json.invocations = this.invocations.map(invocation => invocation.toJSON())
+  }
+  return json
+}
+
+ClassMember.fromJSON = function(json) {
+  let member = null
+  switch (json.kind) {
+    case "attribute":
+      member = new Attribute(json.visibility, json.name, Type.fromJSON(json.type))
+    break
+    case "method":
+      member = new Method(json.visibility, json.name, json.args.map(Argument.fromJSON), Type.fromJSON(json.result))
+      member.isAbstract = json.isAbstract
+      member.invocations = (json.invocations || []).map(Invocation.fromJSON)
+    break
+    case "constructor":
+      member = new Constructor(json.visibility, json.name, json.args.map(Argument.fromJSON))
+      member.invocations = (json.invocations || []).map(Invocation.fromJSON)
+    break
+    default:
+      member = new (constructorOf(MEMBER_KINDS, json.kind))(json.name)
+      member.visibility = json.visibility
+  }
+  member.isStatic = json.isStatic
+  member.customStereotypes = [...json.customStereotypes]
+  member.doc = DocComment.fromJSON(json.doc)
+  member.important = json.important
+  member.location = copyLocation(json.location)
+  return member
+}
+
+// Objects are referred to by their index in the objects list of the
+// serialized diagram, so that relations keep pointing at the same instance.
+class References {
+  constructor() {
+    this.ids = new Map()
+    this.objects = []
+  }
+  
+  ref(object) {
+    if (!this.ids.has(object)) {
+      this.ids.set(object, this.objects.length)
+      this.objects.push(object)
+    }
+    return this.ids.get(object)
+  }
+}
+
+DiagramObject.prototype.serialize = function(refs) {
+  const json = {
+    kind: kindOf(OBJECT_KINDS, this),
+    name: this.name,
+    package: [...this.package],
+    visibility: this.visibility,
+    isStatic: this.isStatic,
+    isSealed: this.isSealed,
+    isNonSealed: this.isNonSealed,
+    permits: [...this.permits],
+    doc: this.doc.toJSON(),
+    customStereotypes: [...this.customStereotypes],
+    generics: this.generics.map(type => type.toJSON()),
+    imports: Object.fromEntries([...this.imports].map(([name, path]) => [name, [...path]])),
+    wildcardImports: this.wildcardImports.map(path => [...path]),
+    location: copyLocation(this.location)
+  }
+  if (this instanceof ClassObject) {
+    json.isAbstract = this.isAbstract
+    json.constructors = this.constructors.map(member => member.toJSON())
+  }
+  if (this instanceof EnumObject) {
+    json.constants = this.constants.map(member => member.toJSON())
+  }
+  if (this instanceof ClassObject || this instanceof InterfaceObject) {
+    json.attributes = this.attributes.map(member => member.toJSON())
+    json.methods = this.methods.map(member => member.toJSON())
+  }
+  if (this instanceof PackageObject) {
+    json.objects = [...this.objects.values()].map(object => refs.ref(object))
+  }
+  return json
+}
+
+// Creates the object without resolving references to other objects
+DiagramObject.fromJSON = function(json) {
+  const object = new (constructorOf(OBJECT_KINDS, json.kind))(json.name)
+  object.package = [...json.package]
+  object.visibility = json.visibility
+  object.isStatic = json.isStatic
+  object.isSealed = json.isSealed
+  object.isNonSealed = json.isNonSealed
+  object.permits = [...(json.permits || [])]
+  object.doc = DocComment.fromJSON(json.doc)
+  object.customStereotypes = [...json.customStereotypes]
+  object.generics = json.generics.map(Type.fromJSON)
+  object.imports = new Map(Object.entries(json.imports).map(([name, path]) => [name, [...path]]))
+  object.wildcardImports = json.wildcardImports.map(path => [...path])
+  object.location = copyLocation(json.location)
+  if (object instanceof ClassObject) {
+    object.isAbstract = json.isAbstract
+    object.constructors = json.constructors.map(ClassMember.fromJSON)
+  }
+  if (object instanceof EnumObject) {
+    object.constants = json.constants.map(ClassMember.fromJSON)
+  }
+  if (object instanceof ClassObject || object instanceof InterfaceObject) {
+    object.attributes = json.attributes.map(ClassMember.fromJSON)
+    object.methods = json.methods.map(ClassMember.fromJSON)
+  }
+  return object
+}
+
+// Relations
+
+Relation.prototype.serialize = function(refs) {
+  const json = {
+    kind: kindOf(RELATION_KINDS, this),
+    a: refs.ref(this.a),
+    b: refs.ref(this.b),
+    visual: {...this.visual},
+    location: copyLocation(this.location)
+  }
+  if (this instanceof AssociativeRelation) {
+    Object.assign(json, {
+      name: this.name,
+      roleA: this.roleA,
+      roleB: this.roleB,
+      headA: this.headA,
+      headB: this.headB,
+      multiplicityA: this.multiplicityA,
+      multiplicityB: this.multiplicityB
+    })
+  }
+  return json
+}
+
+Relation.fromJSON = function(json, objects) {
+  const relation = new (constructorOf(RELATION_KINDS, json.kind))(objects[json.a], objects[json.b])
+  relation.visual = {...json.visual}
+  relation.location = copyLocation(json.location)
+  if (relation instanceof AssociativeRelation) {
+    relation.name = json.name
+    relation.roleA = json.roleA
+    relation.roleB = json.roleB
+    relation.headA = json.headA
+    relation.headB = json.headB
+    relation.multiplicityA = json.multiplicityA
+    relation.multiplicityB = json.multiplicityB
+  }
+  return relation
+}
+
+// Diagrams
+
+Diagram.prototype.toJSON = function() {
+  const refs = new References()
+  for (const object of this.objects.values()) {
+    refs.ref(object)
+  }
+  const relations = this.relations.map(relation => relation.serialize(refs))
+  
+  // Serializing objects may reference further objects (e.g. package contents)
+  const objects = []
+  for (let id = 0; id < refs.objects.length; id++) {
+    const object = refs.objects[id]
+    const json = {id, ...object.serialize(refs)}
+    if (this.objects.get(object.qualifiedName) != object) {
+      json.detached = true
+    }
+    objects.push(json)
+  }
+  
+  const diagnostics = this.diagnostics.map(diagnostic => diagnostic.toJSON())
+  return {version: FORMAT_VERSION, objects, relations, diagnostics}
+}
+
+Diagram.fromJSON = function(json) {
+  if (json.version != FORMAT_VERSION) {
+    throw `Unsupported diagram format version ${json.version}`
+  }
+  
+  const objects = []
+  for (const objectJson of json.objects) {
+    objects[objectJson.id] = DiagramObject.fromJSON(objectJson)
+  }
+  for (const objectJson of json.objects) {
+    if (objectJson.kind == "package") {
+      objectJson.objects.forEach(id => objects[objectJson.id].addObject(objects[id]))
+    }
+  }
+  
+  const diagram = new Diagram()
+  for (const objectJson of json.objects) {
+    if (!objectJson.detached) {
+      diagram.addObject(objects[objectJson.id])
+    }
+  }
+  for (const relationJson of json.relations) {
+    diagram.addRelation(Relation.fromJSON(relationJson, objects))
+  }
+  diagram.diagnostics = (json.diagnostics || []).map(Diagnostic.fromJSON)
+  return diagram
+}
+
+Diagram.prototype.saveJSON = function(filePath) {
+  writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2) + "\n")
+}
+
+Diagram.loadJSON = function(filePath) {
+  return Diagram.fromJSON(JSON.parse(readFileSync(filePath).toString()))
+}
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// State machines described by the doc comments of enum constants
+//
+//   /**
+//    * @initial
+//    * @transition RUNNING on start()
+//    */
+//   IDLE,
+//   /** @final */
+//   FINISHED
+//
+// Each constant is a state. @transition adds a transition to the given
+// constant, optionally triggered by the event following "on". @initial
+// marks the initial state and @final marks the final states.
+
+import {Diagram, EnumObject} from "./model.mjs"
+
+export class Transition {
+  constructor(from, to, event) {
+    this.from = from
+    this.to = to
+    this.event = event
+    this.location = null
+  }
+}
+
+// Returns the target and the event of a @transition attribute
+export function parseTransition(attr) {
+  const [target="", ...rest] = attr.params
+  const event = (rest[0] == "on" ? rest.slice(1) : rest).join(" ")
+  return {target, event}
+}
+
+export class StateMachine {
+  constructor(object) {
+    this.object = object
+    this.states = [...object.constants]
+    this.transitions = []
+    this.initial = []
+    this.final = []
+  }
+  
+  // Transitions to constants which do not exist are skipped,
+  // validate reports them
+  static fromEnum(object) {
+    const machine = new StateMachine(object)
+    for (const state of machine.states) {
+      for (const attr of state.doc.attrs) {
+        switch (attr.name) {
+          case "@transition":
+            const {target, event} = parseTransition(attr)
+            const to = machine.states.find(other => other.name == target)
+            if (to != null) {
+              const transition = new Transition(state, to, event)
+              transition.location = state.doc.location || state.location
+              machine.transitions.push(transition)
+            }
+          break
+          case "@initial":
+            machine.initial.push(state)
+          break
+          case "@final":
+            machine.final.push(state)
+          break
+        }
+      }
+    }
+    return machine
+  }
+}
+
+EnumObject.prototype.toStateMachine = function() {
+  return StateMachine.fromEnum(this)
+}
+
+Diagram.prototype.stateMachine = function(name) {
+  const object = this.lookup(name)
+  if (!(object instanceof EnumObject)) {
+    throw `${name} is not an enum`
+  }
+  return object.toStateMachine()
+}
@@ -91,6 +91,86 @@ export class OptionalType extends CollectionType {
   toString() { return `Optional<${this.item}>` }
 }
 
+export class ArrayType extends CollectionType {
+  toString() { return `${this.item}[]` }
+}
+
+export class MapType extends Type {
+  constructor(key, value) {
+    super()
+    this.key = key
+    this.value = value
+  }
+  
+  clone() {
+    return new MapType(this.key.clone(), this.value.clone())
+  }
+  
+  collectNames() {
+    return new Set([...this.key.collectNames(), ...this.value.collectNames()])
+  }
+  
+  substitute(mapping) {
+    this.key.substitute(mapping)
+    this.value.substitute(mapping)
+  }
+  
+  toString() { return `Map<${this.key}, ${this.value}>` }
+}
+
+// Named type with generic arguments (e.g. Comparable<T>)
+export class GenericType extends NamedType {
+  constructor(name, args) {
+    super(name)
+    this.args = args
+  }
+  
+  clone() {
+    return new GenericType(this.name, this.args.map(arg => arg.clone()))
+  }
+  
+  substitute(mapping) {
+    super.substitute(mapping)
+    this.args.forEach(arg => arg.substitute(mapping))
+  }
+  
+  collectNames() {
+    return new Set([this.name, ...this.args.flatMap(arg => [...arg.collectNames()])])
+  }
+  
+  toString() { return `${this.name}<${this.args.join(", ")}>` }
+}
+
+// Wildcard type argument (?, ? extends T, ? super T)
+export class WildcardType extends Type {
+  constructor(kind="", bound=null) {
+    super()
+    this.kind = kind
+    this.bound = bound
+  }
+  
+  clone() {
+    return new WildcardType(this.kind, this.bound == null ? null : this.bound.clone())
+  }
+  
+  collectNames() {
+    return this.bound == null ? new Set() : this.bound.collectNames()
+  }
+  
+  substitute(mapping) {
+    if (this.bound != null) {
+      this.bound.substitute(mapping)
+    }
+  }
+  
+  toString() {
+    if (this.bound == null) {
+      return "?"
+    }
+    return `? ${this.kind} ${this.bound}`
+  }
+}
+
 // Type that is still in source code form (not parsed)
 export class SourceType extends Type {
   constructor(source) {
@@ -100,7 +180,7 @@ export class SourceType extends Type {
   
   collectNames() {
     return new Set(this.source
-      .split(/\>|\<|\(|\)|\[|\]|\{|\}|,|\||\.|\!/)
+      .split(/\.\.\.|\>|\<|\(|\)|\[|\]|\{|\}|,|\||\!|\?|\s/)
       .filter(name => name != "")
     )
   }
@@ -53,6 +53,7 @@ Array.prototype.removeCommonPrefix = function(other) {
 export class BlockNode {
   constructor(sections) {
     this.sections = sections
+    this.color = null
   }
   
   get(index) { return this.sections[index] }
@@ -62,7 +63,8 @@ export class BlockNode {
   
   toHtmlTable() {
     const sections = this.sections.map(section => section.toHtmlTable())
-    return `<table border="0" cellborder="1" cellspacing="0">${sections}</table>`
+    const color = this.color != null ? ` color="${this.color}"` : ""
+    return `<table border="0" cellborder="1" cellspacing="0"${color}>${sections}</table>`
   }
 }
 
@@ -89,12 +91,16 @@ export class BlockSection {
   }
 }
 
-export function walkTree(basePath, func) {
+// Calls func for every file below basePath. Directories for which
+// enterDir returns false are skipped entirely.
+export function walkTree(basePath, func, enterDir=dirPath => true) {
   const entries = readdirSync(basePath, { withFileTypes: true })
   for (const entry of entries) {
     const entryPath = path.join(basePath, entry.name)
     if (entry.isDirectory()) {
-      walkTree(entryPath, func)
+      if (enterDir(entryPath)) {
+        walkTree(entryPath, func, enterDir)
+      }
     } else {
       func(entryPath)
     }
@@ -0,0 +1,206 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Validation of diagrams, reporting problems as diagnostics instead of
+// failing while rendering
+
+import {
+  ClassObject, EnumObject, UnresolvedObject, Diagnostic,
+  InheritanceRelation, ImplementsRelation
+} from "./model.mjs"
+import {MULTIPLICITY} from "./passes.mjs"
+import {parseTransition} from "./statemachine.mjs"
+
+const EDGE_HEADS = new Set(["", "<", ">", "o", "*"])
+
+export class ValidationReport {
+  constructor(diagnostics) {
+    this.diagnostics = diagnostics
+  }
+  
+  get errors() {
+    return this.diagnostics.filter(diagnostic => diagnostic.severity == "error")
+  }
+  
+  get warnings() {
+    return this.diagnostics.filter(diagnostic => diagnostic.severity == "warning")
+  }
+  
+  get hasErrors() {
+    return this.errors.length > 0
+  }
+  
+  toJSON() {
+    return {diagnostics: this.diagnostics.map(diagnostic => diagnostic.toJSON())}
+  }
+  
+  toText() {
+    const count = (n, noun) => `${n} ${noun}${n == 1 ? "" : "s"}`
+    const lines = this.diagnostics.map(diagnostic => diagnostic.toString())
+    lines.push(`${count(this.errors.length, "error")}, ${count(this.warnings.length, "warning")}`)
+    return lines.map(line => line + "\n").join("")
+  }
+}
+
+// Checks the syntax of the parameters of an @assoc attribute,
+// see parseAssociation in passes.mjs
+function checkAssociationSyntax(params, report) {
+  if (params.length == 0 || params[params.length - 1] == "") {
+    report("error", "Missing target in @assoc")
+    return
+  }
+  
+  let edges = 0
+  let roles = [0, 0]
+  for (const param of params.slice(0, -1)) {
+    if (param == "" || param.startsWith("$")) {
+      continue
+    }
+    if (param.includes("-")) {
+      const index = param.indexOf("-")
+      const heads = [param.substring(0, index), param.substring(index + 1)]
+      if (!heads.every(head => EDGE_HEADS.has(head))) {
+        report("error", `Invalid edge ${param} in @assoc`)
+      }
+      edges++
+      continue
+    }
+    
+    const match = param.match(MULTIPLICITY)
+    if (match != null) {
+      if (match[3] != null && match[1] != "*" && match[3] != "*" && Number(match[1]) > Number(match[3])) {
+        report("warning", `Empty multiplicity ${param} in @assoc`)
+      } else if (match[1] == "*" && match[3] != null) {
+        report("warning", `Unknown multiplicity ${param} in @assoc`)
+      }
+    } else if (/^[0-9*]/.test(param) || param.includes("..")) {
+      report("warning", `Unknown multiplicity ${param} in @assoc, it is used as a role`)
+    } else {
+      roles[edges == 0 ? 0 : 1]++
+    }
+  }
+  
+  if (edges > 1) {
+    report("error", "Multiple edges in @assoc")
+  }
+  if (roles[0] > 2 || roles[1] > 1) {
+    report("warning", "Too many roles in @assoc, only the last one of each end is used")
+  }
+}
+
+function checkAssociations(diagram, object, doc, name, location, report) {
+  location = doc.location || location
+  const attrs = doc.attrs.filter(attr => attr.name == "@assoc")
+  if (attrs.length > 1) {
+    report("warning", `Only the first @assoc of ${name} is used`, location)
+  }
+  for (const attr of attrs) {
+    checkAssociationSyntax(attr.params, (severity, message) => report(severity, message, location))
+    const target = attr.params[attr.params.length - 1]
+    if (target != "" && diagram.lookup(target, object) == null) {
+      report("error", `Unknown or ambiguous @assoc target ${target}`, location)
+    }
+  }
+}
+
+// Checks the @transition, @initial and @final attributes of the constants
+// of an enum, see StateMachine.fromEnum
+function checkStateMachine(object, report) {
+  let initial = 0
+  for (const constant of object.constants) {
+    const name = `${object.qualifiedName}.${constant.name}`
+    const location = constant.doc.location || constant.location || object.location
+    for (const attr of constant.doc.attrs) {
+      if (attr.name == "@initial") {
+        initial++
+      } else if (attr.name == "@transition") {
+        const {target} = parseTransition(attr)
+        if (target == "") {
+          report("error", `Missing target in @transition of ${name}`, location)
+        } else if (!object.constants.some(other => other.name == target)) {
+          report("error", `Unknown @transition target ${target} of ${name}`, location)
+        }
+      }
+    }
+  }
+  if (initial > 1) {
+    report("warning", `Multiple @initial states in ${object.qualifiedName}`, object.location)
+  }
+}
+
+// Collects the problems found while parsing the diagram and checks that
+// all supertypes are resolved and all @assoc and @transition attributes
+// are valid.
+export function validate(diagram) {
+  const diagnostics = [...diagram.diagnostics]
+  const report = (severity, message, location) => {
+    diagnostics.push(new Diagnostic(severity, message, location || null))
+  }
+  
+  for (const relation of diagram.relations) {
+    const location = relation.location || relation.a.location
+    const isSupertype = relation instanceof InheritanceRelation || relation instanceof ImplementsRelation
+    for (const object of [relation.a, relation.b]) {
+      if (!(object instanceof UnresolvedObject) || diagram.getObject(object.qualifiedName) == object) {
+        continue
+      }
+      if (isSupertype && object == relation.b) {
+        report("warning", `Unresolved supertype ${object.qualifiedName} of ${relation.a.qualifiedName}`, location)
+      } else {
+        report("warning", `Unable to resolve object ${object.qualifiedName}`, location)
+      }
+    }
+  }
+  
+  for (const object of diagram.objects.values()) {
+    checkAssociations(diagram, object, object.doc, object.qualifiedName, object.location, report)
+    
+    for (const name of object.permits) {
+      if (diagram.lookup(name, object) == null) {
+        report("warning", `Unknown permitted subtype ${name} of ${object.qualifiedName}`, object.location)
+      }
+    }
+    if (object instanceof EnumObject) {
+      checkStateMachine(object, report)
+    }
+    
+    const isIgnored = object.doc.findAttribute("@noassoc") != null
+    if (!(object instanceof ClassObject)) {
+      continue
+    }
+    for (const attribute of object.attributes) {
+      const name = `${object.qualifiedName}.${attribute.name}`
+      const location = attribute.location || object.location
+      const hasAssoc = attribute.doc.findAttribute("@assoc") != null
+      if (hasAssoc && isIgnored) {
+        report("warning", `@assoc of ${name} is ignored, since ${object.qualifiedName} is marked @noassoc`, location)
+        continue
+      }
+      if (hasAssoc && attribute.doc.findAttribute("@noassoc") != null) {
+        report("warning", `${name} is marked both @assoc and @noassoc, @noassoc is ignored`, location)
+      }
+      checkAssociations(diagram, object, attribute.doc, name, location, report)
+    }
+  }
+  
+  // Diagnostics without a location come first, the sort is stable
+  const position = diagnostic => diagnostic.location || {file: "", line: 0, column: 0}
+  diagnostics.sort((a, b) => {
+    const [x, y] = [position(a), position(b)]
+    return (x.file || "").localeCompare(y.file || "") || (x.line || 0) - (y.line || 0) || (x.column || 0) - (y.column || 0)
+  })
+  return new ValidationReport(diagnostics)
+}
@@ -0,0 +1,110 @@
+/*
+ * Copyright 2022 Can Joshua Lehmann
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http:/www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {Worker, parentPort, workerData} from "worker_threads"
+import {availableParallelism} from "os"
+
+export function defaultWorkerCount() {
+  return availableParallelism()
+}
+
+// Fixed size pool of worker threads running the given module.
+// Each message sent to a worker is answered by exactly one message
+// of the form {result} or {error}.
+export class WorkerPool {
+  constructor(url, data, size) {
+    this.queue = []
+    this.idle = []
+    this.workers = new Set()
+    this.error = null
+    for (let it = 0; it < Math.max(size, 1); it++) {
+      this.spawn(url, data)
+    }
+  }
+  
+  spawn(url, data) {
+    const worker = new Worker(url, {workerData: data})
+    worker.task = null
+    worker.error = null
+    worker.on("message", ({result, error}) => {
+      const task = worker.task
+      worker.task = null
+      this.idle.push(worker)
+      if (error != null) {
+        task.reject(error)
+      } else {
+        task.resolve(result)
+      }
+      this.schedule()
+    })
+    worker.on("error", error => {
+      worker.error = error
+    })
+    // Workers may exit because of an uncaught error or by calling
+    // process.exit. Their task fails and they are no longer scheduled,
+    // once no worker is left all queued and future tasks fail as well.
+    worker.on("exit", code => {
+      const error = worker.error || `Worker exited with code ${code}`
+      this.workers.delete(worker)
+      this.idle = this.idle.filter(other => other != worker)
+      if (worker.task != null) {
+        worker.task.reject(error)
+        worker.task = null
+      }
+      if (this.workers.size == 0) {
+        this.error = error
+        this.queue.splice(0).forEach(task => task.reject(error))
+      }
+    })
+    this.workers.add(worker)
+    this.idle.push(worker)
+  }
+  
+  run(message) {
+    return new Promise((resolve, reject) => {
+      if (this.error != null) {
+        reject(this.error)
+        return
+      }
+      this.queue.push({message, resolve, reject})
+      this.schedule()
+    })
+  }
+  
+  schedule() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop()
+      worker.task = this.queue.shift()
+      worker.postMessage(worker.task.message)
+    }
+  }
+  
+  close() {
+    return Promise.all([...this.workers].map(worker => worker.terminate()))
+  }
+}
+
+// Runs inside a worker: answers every message using the given handler,
+// which receives the message and the workerData of the pool.
+export function serveWorker(handler) {
+  parentPort.on("message", message => {
+    try {
+      parentPort.postMessage({result: handler(message, workerData)})
+    } catch (error) {
+      parentPort.postMessage({error: error instanceof Error ? error.message : error})
+    }
+  })
+}